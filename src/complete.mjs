@@ -0,0 +1,38 @@
+import { matchSorter } from 'match-sorter'
+
+// Completes field names in prompts, depending on what the prompt takes:
+//
+//   field   the whole input is a field name
+//   search  a `field:` prefix of a search or text filter
+//   query   a field name where a query expects one, e.g. at the start or after `and`
+
+function fieldAt(text, mode) {
+  if (mode === 'field') {
+    return { start: 0, word: text, suffix: '' }
+  } else if (mode === 'search') {
+    return /^[\w.@$-]+$/.test(text) ? { start: 0, word: text, suffix: ':' } : null
+  } else if (mode === 'query') {
+    const word = text.match(/[\w@$.\-[\]]*$/)[0]
+    const before = text.slice(0, text.length - word.length).trimEnd()
+    // not in the list of values of `in (...)`
+    const expectsField =
+      !/\bin\s*\($/i.test(before) && /(^|[\s(])(and|or|not)$|(^|&&|\|\||!|\()$/i.test(before)
+    return expectsField ? { start: text.length - word.length, word, suffix: ' ' } : null
+  }
+  return null
+}
+
+// returns the fields matching the text before the cursor, best first, and where to insert them
+export function complete(text, mode, fields, limit = 8) {
+  const at = fieldAt(text, mode)
+  if (!at) {
+    return null
+  }
+  const items = at.word
+    ? matchSorter(fields, at.word, {
+        keys: ['path'],
+        baseSort: (a, b) => b.item.count - a.item.count,
+      })
+    : fields.toSorted((a, b) => b.count - a.count)
+  return items.length ? { ...at, items: items.slice(0, limit) } : null
+}
@@ -0,0 +1,93 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import fp from 'lodash/fp.js'
+import YAML from 'yaml'
+
+export function configPath() {
+  const dir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+  return path.join(dir, 'uncloggr', 'config.yaml')
+}
+
+export function findProjectConfig(dir = process.cwd()) {
+  let p = dir
+  while (p) {
+    for (const name of ['.uncloggr.yaml', '.uncloggr.yml']) {
+      if (fs.existsSync(path.join(p, name))) {
+        return path.join(p, name)
+      }
+    }
+    const prev = p
+    p = path.dirname(p)
+    if (prev === p) {
+      break
+    }
+  }
+  return null
+}
+
+function readConfig(file) {
+  if (!file || !fs.existsSync(file)) {
+    return {}
+  }
+  try {
+    return YAML.parse(fs.readFileSync(file, 'utf8')) ?? {}
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`)
+  }
+}
+
+function mergeConfig(a, b) {
+  return {
+    ...a,
+    ...b,
+    aliases: { ...a.aliases, ...b.aliases },
+    keys: { ...a.keys, ...b.keys },
+  }
+}
+
+// the user config, overridden by a project config (.uncloggr.yaml) in the current directory or above
+export function loadConfig() {
+  const user = readConfig(configPath())
+  const project = readConfig(findProjectConfig())
+  return {
+    ...mergeConfig(user, project),
+    profiles: { ...user.profiles, ...project.profiles },
+  }
+}
+
+export function resolveProfile({ profiles = {}, ...config }, name) {
+  if (!name) {
+    return config
+  }
+  if (!profiles[name]) {
+    const names = Object.keys(profiles)
+    throw new Error(
+      `Unknown profile: ${name}${names.length ? ` (available: ${names.join(', ')})` : ''}`
+    )
+  }
+  return mergeConfig(config, profiles[name])
+}
+
+// options that only make sense for one run, which a config file, e.g. one checked into a project,
+// mustn't turn on
+const runOptions = ['output', 'output-format', 'print', 'session', 'help', 'version']
+
+// picks the command line options set in a config, coerced to what parseArgs would return
+export function configOptions(config, options) {
+  const found = runOptions.find((name) => name in config)
+  if (found) {
+    throw new Error(`${found} can only be given on the command line, not in a config file`)
+  }
+  return Object.fromEntries(
+    Object.entries(options)
+      .filter(([name]) => name in config && name !== 'profile')
+      .map(([name, { type, multiple }]) => {
+        const value = config[name]
+        if (type === 'boolean') {
+          return [name, Boolean(value)]
+        }
+        return [name, multiple ? fp.castArray(value).map(String) : String(value)]
+      })
+  )
+}
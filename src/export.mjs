@@ -0,0 +1,73 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import fp from 'lodash/fp.js'
+import { internalFields } from './fields.mjs'
+import { formatLevel, formatObject } from './format.mjs'
+
+export const exportFormats = ['ndjson', 'csv', 'yaml']
+
+// the format for a file name, ndjson unless the extension says otherwise
+export function formatFor(file) {
+  const ext = path.extname(file ?? '').slice(1)
+  return ext === 'yml' ? 'yaml' : exportFormats.includes(ext) ? ext : 'ndjson'
+}
+
+function csvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value
+}
+
+// the columns as shown in the list, but with full values and ISO 8601 times
+function csvValue(field, msg, getField) {
+  if (field === 'time') {
+    return msg._time ? new Date(msg._time).toISOString() : ''
+  } else if (field === 'level') {
+    return formatLevel(msg._level)
+  }
+  const value = getField(field, msg)
+  return typeof value === 'string' ? value : (JSON.stringify(value) ?? '')
+}
+
+const strip = fp.omit(internalFields)
+
+function checkFormat(format) {
+  if (!exportFormats.includes(format)) {
+    throw new Error(`Unknown export format: ${format} (expected ${exportFormats.join(', ')})`)
+  }
+}
+
+// what goes before the messages, the column names for csv
+export function formatHeader(format, { fields }) {
+  checkFormat(format)
+  return format === 'csv' ? `${fields.map(csvCell).join(',')}\r\n` : ''
+}
+
+// `text` is what the message was parsed from, which ndjson has as it is
+export function formatMessage(msg, format, { fields, getField }, text) {
+  checkFormat(format)
+  switch (format) {
+    case 'ndjson':
+      return `${text ?? JSON.stringify(strip(msg))}\n`
+    case 'csv':
+      return `${fields.map((field) => csvCell(csvValue(field, msg, getField))).join(',')}\r\n`
+    case 'yaml':
+      return `---\n${formatObject(strip(msg))}`
+  }
+}
+
+// `texts` are what each message was parsed from
+export function formatMessages(msgs, format, { texts, ...options }) {
+  return (
+    formatHeader(format, options) +
+    msgs.map((msg, idx) => formatMessage(msg, format, options, texts?.[idx])).join('')
+  )
+}
+
+// Writes to `file`, or to a new file in the temp directory to attach or copy from. Returns the file.
+export function exportMessages(msgs, { format, file, ...options }) {
+  format ??= formatFor(file)
+  const text = formatMessages(msgs, format, options)
+  file ??= path.join(os.tmpdir(), `uncloggr-${Date.now()}.${format}`)
+  fs.writeFileSync(file, text)
+  return file
+}
@@ -0,0 +1,120 @@
+import fp from 'lodash/fp.js'
+
+// fields the canonical columns are read from, the first one present is used
+export const defaultAliases = {
+  time: ['time', '@timestamp', 'timestamp', 'ts', 'date'],
+  msg: ['msg', 'message'],
+  name: ['name', 'logger', 'logger_name', 'log.logger'],
+}
+
+// set on every message when it's read, see the ingestion in index.mjs
+export const internalFields = ['_sort', '_from', '_line', '_level', '_time']
+
+// dotted names can be nested objects, or flat keys like ecs-logging's "log.level"
+export function getValue(field, msg) {
+  return msg?.[field] ?? fp.get(field, msg)
+}
+
+// parses `field=alias,...` as given on the command line
+export function parseAlias(alias) {
+  const [field, names] = alias.split('=')
+  if (!field || !names) {
+    throw new Error(`Invalid alias: ${alias}`)
+  }
+  return { [field.trim()]: names.split(',').map((name) => name.trim()) }
+}
+
+export function toTime(value) {
+  if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value)) {
+    value = Number(value)
+  }
+  if (typeof value === 'number') {
+    // guess the unit of epoch timestamps from their magnitude
+    if (value < 1e11) {
+      return value * 1e3
+    } else if (value < 1e14) {
+      return value
+    } else if (value < 1e17) {
+      return value / 1e3
+    }
+    return value / 1e6
+  }
+  return typeof value === 'string' ? new Date(value).getTime() : NaN
+}
+
+// aliases are merged in order of precedence, before the defaults
+export function createFieldResolver(...aliases) {
+  const merged = {}
+  for (const alias of [...aliases, defaultAliases]) {
+    for (const [field, names] of Object.entries(alias ?? {})) {
+      merged[field] = fp.uniq([...(merged[field] ?? []), ...fp.castArray(names)])
+    }
+  }
+
+  function get(field, msg) {
+    for (const name of merged[field] ?? [field]) {
+      const value = getValue(name, msg)
+      if (value !== undefined) {
+        return value
+      }
+    }
+    return undefined
+  }
+
+  return {
+    get,
+    time: (msg) => toTime(get('time', msg)),
+  }
+}
+
+const maxDepth = 8
+const maxSamples = 3
+// keys like ids or hostnames would otherwise keep adding paths
+const maxPaths = 1000
+// every one of the first messages is indexed, then one in `sampleEvery`, which counts for the ones
+// skipped, as walking every message slows reading down
+const sampleAfter = 1000
+const sampleEvery = 100
+
+// Tracks the dotted paths of the fields seen in messages, with about how often they occur and a few
+// values
+export function createFieldIndex() {
+  const paths = new Map()
+  let seen = 0
+
+  function visit(value, path, depth, weight) {
+    let entry = paths.get(path)
+    if (!entry) {
+      if (paths.size >= maxPaths) {
+        return
+      }
+      entry = { path, count: 0, samples: [] }
+      paths.set(path, entry)
+    }
+    entry.count += weight
+    if (value && typeof value === 'object') {
+      if (!Array.isArray(value) && depth < maxDepth) {
+        for (const [key, child] of Object.entries(value)) {
+          visit(child, `${path}.${key}`, depth + 1, weight)
+        }
+      }
+    } else if (entry.samples.length < maxSamples && !entry.samples.includes(value)) {
+      entry.samples.push(value)
+    }
+  }
+
+  return {
+    add(msg) {
+      if (++seen > sampleAfter && seen % sampleEvery) {
+        return
+      }
+      const weight = seen > sampleAfter ? sampleEvery : 1
+      for (const [key, value] of Object.entries(msg)) {
+        if (!internalFields.includes(key)) {
+          visit(value, key, 0, weight)
+        }
+      }
+    },
+    list: () => [...paths.values()],
+  }
+}
@@ -0,0 +1,149 @@
+import fp from 'lodash/fp.js'
+import { formatTime } from './format.mjs'
+import { compileQuery } from './query.mjs'
+import { createSearch } from './search.mjs'
+import { parseTimeRange } from './timerange.mjs'
+
+// Filters are predicates called with the message as both `this` and first argument, with a `label`
+// for the status bar and the `spec` they were created from.
+
+export const filterNull = () => true
+filterNull.label = ''
+
+function createLevelFilter(name, level, label = name.toUpperCase()) {
+  const fn = (x) => x._level >= level
+  fn.label = `LEVEL>=${label}`
+  fn.spec = { level: name }
+  return fn
+}
+
+export const levelFilters = {
+  trace: createLevelFilter('trace', 10),
+  debug: createLevelFilter('debug', 20),
+  info: createLevelFilter('info', 30),
+  warn: createLevelFilter('warn', 40, 'WARNING'),
+  error: createLevelFilter('error', 50),
+  fatal: createLevelFilter('fatal', 60),
+}
+
+// null also matches missing fields, as undefined can't be stored in configs and sessions
+function isEqual(value, other) {
+  return other == null ? value == null : fp.isEqual(value, other)
+}
+
+function createBaseFilter(spec, getField) {
+  let fn, label
+  if ('level' in spec) {
+    if (!levelFilters[spec.level]) {
+      throw new Error(`Unknown level: ${spec.level}`)
+    }
+    return levelFilters[spec.level]
+  } else if ('equals' in spec) {
+    fn = (x) => isEqual(getField(spec.field, x), spec.equals)
+    label = `${spec.field} == ${JSON.stringify(spec.equals)}`
+  } else if ('notEquals' in spec) {
+    fn = (x) => !isEqual(getField(spec.field, x), spec.notEquals)
+    label = `${spec.field} != ${JSON.stringify(spec.notEquals)}`
+  } else if ('text' in spec) {
+    fn = createSearch(spec.text, getField)
+    label = `/${spec.text}`
+  } else if ('query' in spec) {
+    fn = compileQuery(spec.query, getField)
+    label = spec.query
+  } else if ('time' in spec) {
+    // relative ranges are resolved once, so the window doesn't move while following
+    const { from, to } = parseTimeRange(spec.time)
+    fn = (x) => x._time >= from && x._time <= to
+    label = `TIME ${isFinite(from) ? formatTime(from) : ''}..${isFinite(to) ? formatTime(to) : ''}`
+  } else {
+    throw new Error(`Invalid filter: ${JSON.stringify(spec)}`)
+  }
+  return Object.assign(fn, { label, spec })
+}
+
+// The first filter is set with the level keys. It's a level name in configs and sessions, or a
+// spec once it has been edited or modified.
+export function restoreLevelFilter(level, getField) {
+  if (!level) {
+    return filterNull
+  }
+  return createFilter(typeof level === 'string' ? { level } : level, getField)
+}
+
+export function saveLevelFilter(fn) {
+  return fn === levelFilters[fn.spec?.level] ? fn.spec.level : fn.spec
+}
+
+// `disabled`, `invert` and `or` (match either this or the filter before it) can be set on any spec
+export function createFilter({ disabled, invert, or, ...spec }, getField) {
+  const base = createBaseFilter(spec, getField)
+  if (!disabled && !invert && !or) {
+    return base
+  }
+  const fn = invert ? (x) => !base.call(x, x) : (x) => base.call(x, x)
+  return Object.assign(fn, {
+    label: invert ? `!(${base.label})` : base.label,
+    spec: { ...base.spec, ...fp.pickBy(Boolean, { disabled, invert, or }) },
+  })
+}
+
+// The filter as a query for editing, text and time filters are edited as they are. Queries can't
+// compare with objects and arrays, so field filters on them give null.
+export function toQuery({ spec }) {
+  if (fp.isObject(spec.equals ?? spec.notEquals)) {
+    return null
+  } else if ('level' in spec) {
+    return `level >= ${spec.level}`
+  } else if ('equals' in spec) {
+    return `${spec.field} = ${JSON.stringify(spec.equals)}`
+  } else if ('notEquals' in spec) {
+    return `${spec.field} != ${JSON.stringify(spec.notEquals)}`
+  }
+  return spec.query
+}
+
+function isActive(fn) {
+  return fn !== filterNull && !fn.spec?.disabled
+}
+
+// whether adding the filter can only remove matches, so only the current ones need checking
+export function narrows(fn) {
+  return isActive(fn) && !fn.spec?.or
+}
+
+// for the status bar
+export function describeFilters(filters) {
+  return filters
+    .filter(isActive)
+    .map((fn, idx) => (idx === 0 ? fn.label : `${fn.spec?.or ? '|' : '&'} ${fn.label}`))
+    .join(' ')
+}
+
+// Filters joined with `or` form a group with the ones before them, and a message has to match a
+// filter of every group. The first group a message doesn't match rejects it, and the messages each
+// filter rejected that way are counted in `excluded`. Sets `matchesAll` when no filter is active.
+export function createMatcher(filters) {
+  const excluded = filters.map(() => 0)
+  const groups = []
+  filters.forEach((fn, idx) => {
+    if (!isActive(fn)) {
+      return
+    }
+    if (fn.spec?.or && groups.length) {
+      groups.at(-1).push([fn, idx])
+    } else {
+      groups.push([[fn, idx]])
+    }
+  })
+
+  const match = (msg) => {
+    for (const group of groups) {
+      if (!group.some(([fn]) => fn.call(msg, msg))) {
+        group.forEach(([, idx]) => ++excluded[idx])
+        return false
+      }
+    }
+    return true
+  }
+  return Object.assign(match, { excluded, matchesAll: !groups.length })
+}
@@ -0,0 +1,275 @@
+import fs from 'node:fs'
+import { isMainThread, parentPort, Worker, workerData } from 'node:worker_threads'
+import { createFieldResolver, parseAlias } from './fields.mjs'
+import { createFilter, createMatcher, restoreLevelFilter, saveLevelFilter } from './filters.mjs'
+import { createEntryParser } from './ingest.mjs'
+import { createLevelNormalizer, parseLevelMap } from './levels.mjs'
+import { createBlockReader, readLine } from './lineindex.mjs'
+
+// Filters in worker threads, so the interface stays responsive: the lines of an indexed file, or
+// with --workers, the messages read, which a pool of workers each hold a share of. Workers parse
+// lines and create filters the same way as the main thread, from the options and filter specs
+// they're given.
+
+// lines filtered between reporting the matches and checking for a newer scan
+const chunkLines = 10000
+
+// Returns the field getter and a function parsing the lines of an indexed file. `options` are the
+// format, alias, aliases, levels, levelField and levelMap options, and the label of the file.
+export function createLineParser(options) {
+  const { get: getField, time: getTime } = createFieldResolver(
+    ...(options.alias ?? []).map(parseAlias),
+    options.aliases
+  )
+  const normalizeLevel = createLevelNormalizer({
+    presets: options.levels?.split(','),
+    fields: options.levelField,
+    values: parseLevelMap(options.levelMap),
+  })
+  const parse = createEntryParser({
+    format: options.format,
+    getTime,
+    normalizeLevel,
+    input: 0,
+    from: options.from,
+    // lines are parsed in any order
+    carry: false,
+  })
+  return { getField, parse }
+}
+
+// filters as sent to workers
+function toRequest(filters) {
+  return {
+    level: saveLevelFilter(filters[0]),
+    filters: filters.slice(1).map((fn) => fn.spec),
+  }
+}
+
+function fromRequest({ level, filters }, getField) {
+  return createMatcher([
+    restoreLevelFilter(level, getField),
+    ...filters.map((spec) => createFilter(spec, getField)),
+  ])
+}
+
+export function createFilterWorker(file, offsets, options) {
+  const worker = new Worker(new URL(import.meta.url), { workerData: { file, offsets, options } })
+  let id = 0
+  let onResult = null
+  worker.on('message', (result) => result.id === id && onResult(result))
+  worker.on('error', (err) => onResult?.({ id, error: err.message }))
+
+  return {
+    // Filters the lines from `start` on, calling `onResult` with the positions matching in each
+    // chunk of lines as it's done, and the number of lines scanned. With `sort`, the positions of
+    // a chunk are in `_sort` order, which is in `keys`. Replaces any previous scan.
+    scan(filters, start, sort, callback) {
+      onResult = callback
+      worker.postMessage({ id: ++id, start, sort, ...toRequest(filters) })
+    },
+    terminate() {
+      return worker.terminate()
+    },
+  }
+}
+
+function runWorker() {
+  const { file, offsets, options } = workerData
+  const { getField, parse } = createLineParser(options)
+  const reader = createBlockReader(fs.openSync(file, 'r'))
+  const count = offsets.length - 1
+  let current = 0
+
+  async function scan({ id, start, sort, ...request }) {
+    const match = fromRequest(request, getField)
+    for (let pos = start; ;) {
+      const end = Math.min(pos + chunkLines, count)
+      const matches = []
+      const keys = new Map()
+      for (; pos < end; ++pos) {
+        if (match.matchesAll && !sort) {
+          matches.push(pos)
+          continue
+        }
+        const msg = parse(readLine(reader, offsets, pos), pos + 1)
+        if (match(msg)) {
+          matches.push(pos)
+          if (sort) {
+            keys.set(pos, msg._sort)
+          }
+        }
+      }
+      if (sort) {
+        matches.sort((a, b) => keys.get(a).localeCompare(keys.get(b)))
+      }
+      parentPort.postMessage({
+        id,
+        matches,
+        keys: sort ? matches.map((pos) => keys.get(pos)) : null,
+        scanned: end,
+        excluded: match.excluded,
+      })
+      if (end === count) {
+        return
+      }
+      // let a newer scan replace this one
+      await new Promise(setImmediate)
+      if (id !== current) {
+        return
+      }
+    }
+  }
+
+  parentPort.on('message', (request) => {
+    current = request.id
+    scan(request).catch((err) => parentPort.postMessage({ id: request.id, error: err.message }))
+  })
+}
+
+// `options` are the alias and aliases options, and `messages` the store the messages handed to the
+// pool are in, to hand them again to a worker replacing one that failed
+export function createFilterPool(size, options, messages) {
+  const workers = Array.from({ length: size }, spawn)
+  // the positions handed to each worker, as [from, to) ranges
+  const shards = workers.map(() => [])
+  let next = 0
+  let id = 0
+  let pending = null
+
+  function spawn() {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { pool: true, options } })
+    worker.on('message', onResult)
+    worker.on('error', (err) => replace(worker, err))
+    return worker
+  }
+
+  function onResult(result) {
+    if (result.id !== pending?.id) {
+      return
+    } else if (result.error) {
+      pending.reject(new Error(result.error))
+      return
+    }
+    pending.results.push(result)
+    if (pending.results.length === workers.length) {
+      const { results, resolve } = pending
+      pending = null
+      resolve({
+        lists: results.map((result) => result.matches),
+        excluded: results
+          .map((result) => result.excluded)
+          .reduce((sums, counts) => sums.map((sum, idx) => sum + counts[idx])),
+      })
+    }
+  }
+
+  // A failed worker doesn't answer anymore, so it's replaced by one with the same messages. The
+  // scan it was doing fails.
+  function replace(worker, err) {
+    const idx = workers.indexOf(worker)
+    workers[idx] = spawn()
+    for (const [from, to] of shards[idx]) {
+      const batch = []
+      for (let position = Math.max(from, messages.start); position < to; ++position) {
+        batch.push(messages.get(position))
+      }
+      if (batch.length) {
+        workers[idx].postMessage({ type: 'add', from: to - batch.length, messages: batch })
+      }
+    }
+    const failed = pending
+    pending = null
+    failed?.reject(err)
+  }
+
+  return {
+    // hands messages read, the first at position `from`, to the next worker
+    add(batch, from) {
+      workers[next].postMessage({ type: 'add', from, messages: batch })
+      shards[next].push([from, from + batch.length])
+      next = (next + 1) % workers.length
+    },
+    // drops the messages before position `start`
+    evict(start) {
+      workers.forEach((worker) => worker.postMessage({ type: 'evict', start }))
+      shards.forEach((ranges, idx) => {
+        shards[idx] = ranges.filter(([, to]) => to > start)
+      })
+    },
+    // Resolves with the positions each worker found matching, in `_sort` order if `sort` is set,
+    // and the messages each filter excluded, or with null when a newer scan replaced this one.
+    scan(filters, sort) {
+      pending?.resolve(null)
+      return new Promise((resolve, reject) => {
+        pending = { id: ++id, results: [], resolve, reject }
+        const request = { type: 'scan', id, sort, ...toRequest(filters) }
+        workers.forEach((worker) => worker.postMessage(request))
+      })
+    },
+  }
+}
+
+function runPoolWorker() {
+  const { options } = workerData
+  const { get: getField } = createFieldResolver(
+    ...(options.alias ?? []).map(parseAlias),
+    options.aliases
+  )
+  // this worker's share of the messages, and their positions
+  let messages = []
+  let positions = []
+  let current = 0
+
+  async function scan({ id, sort, ...request }) {
+    const match = fromRequest(request, getField)
+    // evicting replaces the arrays, and added messages are left for the next scan
+    const shard = messages
+    const shardPositions = positions
+    const count = shard.length
+    const matches = []
+    for (let idx = 0; idx < count;) {
+      const end = Math.min(idx + chunkLines, count)
+      for (; idx < end; ++idx) {
+        if (match(shard[idx])) {
+          matches.push(idx)
+        }
+      }
+      // let a newer scan replace this one
+      await new Promise(setImmediate)
+      if (id !== current) {
+        return
+      }
+    }
+    if (sort) {
+      matches.sort((a, b) => shard[a]._sort.localeCompare(shard[b]._sort))
+    }
+    parentPort.postMessage({
+      id,
+      matches: matches.map((idx) => shardPositions[idx]),
+      excluded: match.excluded,
+    })
+  }
+
+  parentPort.on('message', (request) => {
+    if (request.type === 'add') {
+      request.messages.forEach((msg, idx) => {
+        messages.push(msg)
+        positions.push(request.from + idx)
+      })
+    } else if (request.type === 'evict') {
+      const cut = positions.findIndex((position) => position >= request.start)
+      messages = cut === -1 ? [] : messages.slice(cut)
+      positions = cut === -1 ? [] : positions.slice(cut)
+    } else if (request.type === 'scan') {
+      current = request.id
+      scan(request).catch((err) => parentPort.postMessage({ id: request.id, error: err.message }))
+    }
+  })
+}
+
+if (!isMainThread && workerData?.offsets) {
+  runWorker()
+} else if (!isMainThread && workerData?.pool) {
+  runPoolWorker()
+}
@@ -39,6 +39,20 @@ export function formatLevel(level) {
   }
 }
 
+// the color of a level in the list and the printed rows
+export function levelColor(level) {
+  if (level >= 50) {
+    return 'red'
+  } else if (level >= 40) {
+    return 'yellow'
+  } else if (level >= 30) {
+    return 'green'
+  } else if (level >= 20) {
+    return 'blue'
+  }
+  return undefined
+}
+
 export function formatObject(obj, opts) {
   return YAML.stringify(obj, { blockQuote: 'literal', aliasDuplicateObjects: false, ...opts })
 }
@@ -47,3 +61,40 @@ const nf = Intl.NumberFormat()
 export function formatNumber(value) {
   return nf.format(value)
 }
+
+// e.g. 850ms, 12.345s, 4m5s or 2h10m
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) {
+    return '?'
+  }
+  const abs = Math.abs(ms)
+  const sign = ms < 0 ? '-' : ''
+  if (abs < 1e3) {
+    return `${sign}${Math.round(abs)}ms`
+  } else if (abs < 60e3) {
+    return `${sign}${(abs / 1e3).toFixed(3)}s`
+  } else if (abs < 3600e3) {
+    return `${sign}${Math.floor(abs / 60e3)}m${Math.floor((abs % 60e3) / 1e3)}s`
+  }
+  return `${sign}${Math.floor(abs / 3600e3)}h${Math.floor((abs % 3600e3) / 60e3)}m`
+}
+
+// a field value on a single line
+export function formatValue(value) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value).slice(1, -1)
+  } else if (typeof value === 'number') {
+    return formatNumber(value)
+  }
+  return JSON.stringify(value) ?? ' '
+}
+
+// a column of the list
+export function formatColumn(field, msg, getField) {
+  if (field === 'time') {
+    return formatTime(msg._time)
+  } else if (field === 'level') {
+    return formatLevel(msg._level)
+  }
+  return formatValue(getField(field, msg))
+}
@@ -1,89 +1,296 @@
 #!/usr/bin/env node
-import { pipeline } from 'node:stream/promises'
-import split from 'split2'
 import fs from 'node:fs'
 import tp from 'node:timers/promises'
 import tty from 'node:tty'
 import React from 'react'
-import { formatLevel, formatNumber, formatObject, formatTime } from './format.mjs'
+import {
+  formatColumn,
+  formatDuration,
+  formatNumber,
+  formatObject,
+  formatTime,
+  formatValue,
+  levelColor,
+} from './format.mjs'
 import { render, Text, Box, Spacer, useApp, useInput, measureElement } from 'ink'
 import fp from 'lodash/fp.js'
 import TextInput from 'ink-text-input'
 import checkboxPlus from 'inquirer-checkbox-plus-plus'
 import { matchSorter } from 'match-sorter'
 import { parseArgs } from 'node:util'
-import { getDocker, getDockerServices, getFile, getPM2, getStdin } from './sources.mjs'
+import { complete } from './complete.mjs'
+import { configOptions, loadConfig, resolveProfile } from './config.mjs'
+import { createFieldIndex, createFieldResolver, parseAlias } from './fields.mjs'
+import {
+  createFilter,
+  createMatcher,
+  describeFilters,
+  filterNull,
+  levelFilters,
+  narrows,
+  restoreLevelFilter,
+  saveLevelFilter,
+  toQuery,
+} from './filters.mjs'
+import { createFilterPool, createFilterWorker, createLineParser } from './filterworker.mjs'
+import { createLevelNormalizer, parseLevelMap } from './levels.mjs'
+import { loadLineIndex } from './lineindex.mjs'
+import {
+  exportFormats,
+  exportMessages,
+  formatFor,
+  formatHeader,
+  formatMessage,
+  formatMessages,
+} from './export.mjs'
+import { createEntryParser, readInputs } from './ingest.mjs'
+import { createKeymap } from './keys.mjs'
+import { createMerger, mergeSorted } from './merge.mjs'
+import { createGrouper } from './multiline.mjs'
+import { createParser, parsers } from './parsers.mjs'
+import { createRowFormatter } from './print.mjs'
+import { createSearch, highlight } from './search.mjs'
+import { loadSession, messageKey, saveSession } from './sessions.mjs'
+import { fieldStats } from './stats.mjs'
+import { createIndexedStore, createStore, parseSize } from './store.mjs'
+import { bucketOf, createTimeline, formatSize } from './timeline.mjs'
+import { parseDuration, parseTime, resolveTimeRange } from './timerange.mjs'
+import {
+  getDocker,
+  getDockerServices,
+  getFile,
+  getJournal,
+  getKubernetes,
+  getPM2,
+  getStdin,
+} from './sources.mjs'
 
-const { values: opts, positionals: argv } = parseArgs({
-  options: {
-    all: {
-      type: 'boolean',
-      short: 'a',
-    },
-    follow: {
-      type: 'boolean',
-      short: 'f',
-      default: true,
-    },
-    since: {
-      type: 'string',
-    },
-    tail: {
-      type: 'string',
-      short: 'n',
-    },
-    sort: {
-      type: 'boolean',
-      short: 's',
-    },
-    help: {
-      type: 'boolean',
-      short: 'h'
-    },
-    version: {
-      type: 'boolean',
-      short: 'v'
-    }
+const options = {
+  all: {
+    type: 'boolean',
+    short: 'a',
+  },
+  follow: {
+    type: 'boolean',
+    short: 'f',
+  },
+  since: {
+    type: 'string',
+  },
+  tail: {
+    type: 'string',
+    short: 'n',
+  },
+  sort: {
+    type: 'boolean',
+    short: 's',
+  },
+  rotated: {
+    type: 'boolean',
+    short: 'r',
+  },
+  format: {
+    type: 'string',
+  },
+  multiline: {
+    type: 'string',
+  },
+  levels: {
+    type: 'string',
+  },
+  'level-field': {
+    type: 'string',
+    multiple: true,
+  },
+  'level-map': {
+    type: 'string',
+  },
+  alias: {
+    type: 'string',
+    multiple: true,
+  },
+  filter: {
+    type: 'string',
+    multiple: true,
+  },
+  profile: {
+    type: 'string',
+    short: 'p',
+  },
+  session: {
+    type: 'string',
+  },
+  output: {
+    type: 'string',
+    short: 'o',
+  },
+  'output-format': {
+    type: 'string',
+  },
+  print: {
+    type: 'boolean',
+  },
+  'max-memory': {
+    type: 'string',
   },
+  spill: {
+    type: 'boolean',
+  },
+  indexed: {
+    type: 'boolean',
+  },
+  'save-index': {
+    type: 'boolean',
+  },
+  workers: {
+    type: 'string',
+  },
+  'sort-window': {
+    type: 'string',
+  },
+  help: {
+    type: 'boolean',
+    short: 'h'
+  },
+  version: {
+    type: 'boolean',
+    short: 'v'
+  }
+}
+
+const { values: args, positionals: argv } = parseArgs({
+  options,
   allowPositionals: true,
   strict: true,
 })
 
-if (opts.version) {
+if (args.version) {
   const pkg = JSON.parse((fs.readFileSync(new URL('../package.json', import.meta.url))))
   console.log(`uncloggr version: ${pkg.version}`)
   process.exit(0)
 }
 
-if (opts.help) {
+if (args.help) {
   console.log(`
 Usage: uncloggr [OPTIONS] [sources...]
 
 Options:
-  -a --all          Include all sources (stopped containers)
-  -f --follow       Follow log output
-     --since string Show logs since timestamp (e.g. "2013-01-02T13:23:37Z") or relative (e.g. "42m" for 42 minutes)
-  -n --tail string  Number of lines to show from the end of logs
-  -s --sort         Sort logs by time, slower but useful when reading multiple sources
-  -h --help         This help
+  -a --all                  Include all sources (stopped containers and units, all k8s namespaces)
+  -f --follow               Follow log output
+     --since string         Show logs since timestamp (e.g. "2013-01-02T13:23:37Z") or relative (e.g. "42m" for 42 minutes)
+  -n --tail string          Number of lines to show from the end of logs
+  -s --sort                 Sort logs by time, useful when reading multiple sources
+     --sort-window duration How long to wait for entries from other sources when sorting (default 2s)
+  -r --rotated              Read rotated archives of file sources (app.log.1, app.log.2.gz, ...) before the file
+     --format string        Line format: auto (default), json, logfmt, access, syslog, journal or regex:<pattern>
+     --multiline regex      Regex matching the first line of multi-line entries, or "off" to not group lines
+     --levels string        Level presets to recognize: pino, winston, log4j, gcp, ecs, syslog (default all but syslog)
+     --level-field string   Additional field to read the level from (e.g. "meta.level"), can be repeated
+     --level-map string     Additional level names (e.g. "eror=50,crit=fatal")
+     --alias string         Fields to read a column from, e.g. "time=@timestamp,ts" or "msg=message", can be repeated
+     --filter query         Only show messages matching a query (e.g. "level>=warn and duration > 500"), can be repeated
+  -p --profile string       Use a profile from the config file
+     --session string       Restore a saved session (a name or a path to a session file)
+  -o --output file          Write the matching messages to a file ("-" for stdout) instead of showing them
+     --output-format string Format of --output and --print: ndjson, csv (of the columns) or yaml (default from the extension)
+     --print                Print the matching messages to stdout as they're read instead of showing them, as the columns or in --output-format
+     --max-memory size      Keep the messages read within about this size (e.g. 512m or 2g), evicting the oldest
+     --spill                Write evicted messages to a temp file instead of dropping them
+     --indexed              Read a large file through an index of its lines, parsing lines only when needed
+     --save-index           Save the index of --indexed next to the file, to reuse it while the file is unchanged
+     --workers n            Filter in n worker threads, which each keep a copy of a share of the messages
+  -h --help                 This help
   -v --version
 `)
   process.exit(0)
 }
 
-const sources = argv.length ? argv : process.stdin.isTTY ? [''] : ['stdin:-']
 const inputs = []
 
 const types = {
   pm2: getPM2,
   docker: getDocker,
   'docker-service': getDockerServices,
+  k8s: getKubernetes,
+  journal: getJournal,
   file: getFile,
   stdin: getStdin,
 }
 
+let opts, config, session, fieldResolver, normalizeLevel, initialFilters, storeOptions, workers
+let sortWindow, keymap
+try {
+  session = args.session ? loadSession(args.session) : {}
+  config = {
+    ...resolveProfile(loadConfig(), args.profile),
+    ...fp.pick(['columns', 'level', 'filters'], session),
+  }
+  // printing reads what's there and stops, unless asked to follow
+  opts = { follow: !args.print, ...configOptions(config, options), ...args }
+  if (opts.output) {
+    // read what's there and stop
+    opts.follow = false
+  } else if (opts.print && opts.follow && opts.sort) {
+    throw new Error('--sort needs all messages before printing, so it can\'t be used with --follow')
+  }
+  fieldResolver = createFieldResolver(...(opts.alias ?? []).map(parseAlias), config.aliases)
+  createParser(opts.format)
+  createGrouper(opts.multiline)
+  normalizeLevel = createLevelNormalizer({
+    presets: opts.levels?.split(','),
+    fields: opts['level-field'],
+    values: parseLevelMap(opts['level-map']),
+  })
+  initialFilters = [
+    restoreLevelFilter(config.level, fieldResolver.get),
+    ...(config.filters ?? []).map((spec) => createFilter(spec, fieldResolver.get)),
+    ...(opts.filter ?? []).map((query) => createFilter({ query }, fieldResolver.get)),
+  ]
+  storeOptions = {
+    maxMemory: opts['max-memory'] ? parseSize(opts['max-memory']) : Infinity,
+    spill: opts.spill,
+  }
+  sortWindow = parseDuration(opts['sort-window'] ?? '2s')
+  if (isNaN(sortWindow)) {
+    throw new Error(`Invalid sort window: ${opts['sort-window']} (e.g. 500ms or 5s)`)
+  }
+  keymap = createKeymap(config.keys)
+  workers = opts.workers ? Number(opts.workers) : 0
+  if (!Number.isInteger(workers) || workers < 0) {
+    throw new Error(`Invalid number of workers: ${opts.workers}`)
+  } else if (workers && opts.spill) {
+    // the workers would need the spilled messages too
+    throw new Error("--workers can't be used with --spill")
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exit(1)
+}
+const { get: getField, time: getTime } = fieldResolver
+const workerOptions = { alias: opts.alias, aliases: config.aliases }
+const initialFields = config.columns ?? ['time', 'level', 'name', 'msg']
+// the fields seen so far, for completing field names in prompts
+const fieldIndex = createFieldIndex()
+
+const sources = argv.length
+  ? argv
+  : !process.stdin.isTTY
+    ? ['stdin:-']
+    : fp.castArray(config.sources ?? '')
+
 for (const source of sources) {
-  const [, type, pattern] = source?.match(/^([a-z-]+:)?([^:]*)$/i) ?? []
+  const [, format, type, pattern] = source?.match(/^(?:(\w+)@)?([a-z0-9-]+:)?([^:]*)$/i) ?? []
+  if (format && !parsers[format]) {
+    console.error(`Unknown format: ${format}`)
+    process.exit(1)
+  }
+  // for --since on files
+  const parse = createParser(format ?? opts.format)
+  const lineTime = (line) => getTime(parse(line))
+  const read = (from) =>
+    from
+      .read({ ...opts, lineTime })
+      .map((stream) => (format ? Object.assign(stream, { format }) : stream))
   const from = type
     ? types[type.slice(0, -1)]?.(pattern, opts) ?? []
     : Object.entries(types).flatMap(([type, fn]) => {
@@ -98,12 +305,12 @@ for (const source of sources) {
             value: `${type}:${x.value ?? x.name}`,
           }))
         } catch (err) {
-          console.log(`${type}: ${err.message}`)
+          console.error(`${type}: ${err.message}`)
           return []
         }
       })
-  if (from.length === 1) {
-    inputs.push(...from[0].read(opts))
+  if (from.length === 1 || (from.length > 1 && (opts.output || opts.print))) {
+    inputs.push(...from.flatMap(read))
   } else if (from.length > 1) {
     let choice
     while (!choice?.length) {
@@ -125,7 +332,7 @@ for (const source of sources) {
       }
     }
     inputs.push(
-      ...from.filter((x) => choice.includes(x.value)).flatMap((source) => source.read(opts))
+      ...from.filter((x) => choice.includes(x.value)).flatMap(read)
     )
   } else {
     console.error(source ? `Source not found: ${source}` : 'No source specified')
@@ -134,72 +341,141 @@ for (const source of sources) {
 }
 
 function levelProps(level) {
-  if (level >= 60) {
-    return { color: 'red' }
-  } else if (level >= 50) {
-    return { color: 'red' }
-  } else if (level >= 40) {
-    return { color: 'yellow' }
-  } else if (level >= 30) {
-    return { color: 'green' }
-  } else if (level >= 20) {
-    return { color: 'blue' }
-  } else {
-    return {}
+  const color = levelColor(level)
+  return color ? { color } : {}
+}
+
+// an input that couldn't be read fails a run without the interface, after the other inputs
+function reportInputError(err) {
+  if (err) {
+    console.error(err.message)
+    process.exitCode = 1
+  }
+}
+
+// export without the interface, e.g. `uncloggr -o errors.csv --filter 'level >= error' app.log`
+if (opts.output) {
+  let entries = []
+  const match = createMatcher(initialFilters)
+  await readInputs(inputs, {
+    format: opts.format,
+    multiline: opts.multiline,
+    getTime,
+    normalizeLevel,
+    onMessage: (msg, text) => match(msg) && entries.push({ msg, text }),
+    onInputEnd: reportInputError,
+  })
+  if (opts.sort) {
+    entries = fp.sortBy((entry) => entry.msg._sort, entries)
+  }
+  const format = opts['output-format'] ?? formatFor(opts.output)
+  const messages = entries.map((entry) => entry.msg)
+  const options = { fields: initialFields, getField, texts: entries.map((entry) => entry.text) }
+  try {
+    if (opts.output === '-') {
+      process.stdout.write(formatMessages(messages, format, options))
+    } else {
+      exportMessages(messages, { format, file: opts.output, ...options })
+    }
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
   }
+  process.exit()
 }
 
-const filterNull = () => true
-filterNull.label = ''
-const filterTrace = (x) => x.level >= 10
-filterTrace.label = 'LEVEL>=TRACE'
-const filterDebug = (x) => x.level >= 20
-filterDebug.label = 'LEVEL>=DEBUG'
-const filterInfo = (x) => x.level >= 30
-filterInfo.label = 'LEVEL>=INFO'
-const filterWarning = (x) => x.level >= 40
-filterWarning.label = 'LEVEL>=WARNING'
-const filterError = (x) => x.level >= 50
-filterError.label = 'LEVEL>=ERROR'
-const filterFatal = (x) => x.level >= 60
-filterFatal.label = 'LEVEL>=FATAL'
+// print without the interface, e.g. `uncloggr --print --filter 'level >= error' app.log | less -R`
+if (opts.print) {
+  const match = createMatcher(initialFilters)
+  const format = opts['output-format']
+  // sized for `messages` when sorting, which are all read before printing
+  const createPrint = (messages) =>
+    format
+      ? (msg, text) => formatMessage(msg, format, { fields: initialFields, getField }, text)
+      : createRowFormatter(initialFields, getField, process.stdout.isTTY, messages)
+  try {
+    process.stdout.write(format ? formatHeader(format, { fields: initialFields }) : '')
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+  // e.g. piped to `head`
+  process.stdout.on('error', () => process.exit(0))
+  const messages = []
+  const texts = new Map()
+  const print = createPrint([])
+  await readInputs(inputs, {
+    format: opts.format,
+    multiline: opts.multiline,
+    getTime,
+    normalizeLevel,
+    onMessage: (msg, text) => {
+      if (!match(msg)) {
+        return
+      } else if (opts.sort) {
+        messages.push(msg)
+        texts.set(msg, text)
+      } else {
+        process.stdout.write(print(msg, text))
+      }
+    },
+    onInputEnd: reportInputError,
+  })
+  messages.sort((a, b) => a._sort.localeCompare(b._sort))
+  const printSorted = createPrint(messages)
+  process.stdout.write(messages.map((msg) => printSorted(msg, texts.get(msg))).join(''))
+  process.exit()
+}
+
+// a large file read through its line index, see createIndexedStore
+let indexed = null
+if (opts.indexed) {
+  if (inputs.length !== 1 || !inputs[0].path) {
+    console.error('--indexed reads a single uncompressed file')
+    process.exit(1)
+  } else if (opts.since) {
+    console.error("--since can't be used with --indexed")
+    process.exit(1)
+  } else if (args.follow) {
+    console.error("--follow can't be used with --indexed, which reads the file as it is")
+    process.exit(1)
+  } else if (opts.multiline && opts.multiline !== 'off') {
+    console.error("--multiline can't be used with --indexed, which reads every line as an entry")
+    process.exit(1)
+  }
+  const [input] = inputs
+  input.destroy()
+  try {
+    indexed = {
+      file: input.path,
+      offsets: loadLineIndex(input.path, { save: opts['save-index'] }),
+      options: {
+        ...workerOptions,
+        format: input.format ?? opts.format,
+        levels: opts.levels,
+        levelField: opts['level-field'],
+        levelMap: opts['level-map'],
+        from: input.label,
+      },
+    }
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+}
 
 const ttyfd = fs.openSync('/dev/tty', 'r')
 const input = tty.ReadStream(ttyfd)
 input.setRawMode(true).setEncoding('utf8')
 
-const SHORTCUTS = [
-  { key: 'j / ↓', desc: 'Move down one line' },
-  { key: 'k / ↑', desc: 'Move up one line' },
-  { key: 'Ctrl+d / PgDn', desc: 'Move down half page' },
-  { key: 'Ctrl+u / PgUp', desc: 'Move up half page' },
-  { key: 'h / ←', desc: 'Select previous field' },
-  { key: 'l / →', desc: 'Select next field' },
-  { key: 'g', desc: 'Go to first line' },
-  { key: 'G', desc: 'Go to last line' },
-  { key: 'F', desc: 'Follow mode (jump to end)' },
-  { key: '1-6', desc: 'Filter by log level (1=TRACE to 6=FATAL)' },
-  { key: '+', desc: 'Include: filter to entries where field equals current value' },
-  { key: '-', desc: 'Exclude: filter out entries where field equals current value' },
-  { key: '&', desc: 'Add custom text filter' },
-  { key: '=', desc: 'Add custom expression filter (JavaScript eval)' },
-  { key: 'Backspace', desc: 'Remove last filter' },
-  { key: 'Meta+Backspace', desc: 'Clear all filters' },
-  { key: '/', desc: 'Search forward' },
-  { key: 'n', desc: 'Next search result' },
-  { key: 'N', desc: 'Previous search result' },
-  { key: 'Space', desc: 'Toggle selection on current line' },
-  { key: 'm', desc: 'Jump to next selected line' },
-  { key: 'M', desc: 'Jump to previous selected line' },
-  { key: 's', desc: 'Sort messages by timestamp' },
-  { key: '*', desc: 'Add new field to display' },
-  { key: '\\', desc: 'Remove selected field from display' },
-  { key: 'Enter', desc: 'Toggle detailed inspection view' },
-  { key: 'Shift+↓ / Shift+↑', desc: 'Next/previous log item when in inspector view' },
-  { key: 'c', desc: 'Clear all messages' },
-  { key: 'q', desc: 'Quit application' },
-  { key: '?', desc: 'Show this help popup' },
+const shortcuts = [
+  ...keymap.help(),
+  {
+    key: '<count>',
+    desc: 'Typed before a key, e.g. 20j, 5n, 50% or 3L, to repeat it or pick a line',
+  },
 ]
+const shortcutWidth = Math.max(...shortcuts.map((shortcut) => shortcut.key.length))
 
 function HelpPopup() {
   return (
@@ -213,9 +489,9 @@ function HelpPopup() {
     >
       <Text bold>Keyboard Shortcuts (Press any key to close)</Text>
       <Text></Text>
-      {SHORTCUTS.map((shortcut, idx) => (
+      {shortcuts.map((shortcut, idx) => (
         <Box key={idx} gap={2}>
-          <Box width={16} flexShrink={0}>
+          <Box width={shortcutWidth} flexShrink={0}>
             <Text bold color='yellow'>{shortcut.key}</Text>
           </Box>
           <Text>{shortcut.desc}</Text>
@@ -225,6 +501,169 @@ function HelpPopup() {
   )
 }
 
+const blocks = ' ▁▂▃▄▅▆▇█'
+const timelineHeight = 4
+
+function Timeline({ timeline, current }) {
+  if (!timeline) {
+    return <Text dimColor>No entries</Text>
+  }
+  const { start, size, counts, levels } = timeline
+  const max = Math.max(...counts)
+  const bars = Array.from({ length: timelineHeight }, (_, row) => {
+    const offset = (timelineHeight - 1 - row) * 8
+    const chars = counts.map((count) => {
+      const eighths = count && Math.max(1, Math.round((count / max) * timelineHeight * 8))
+      return blocks[Math.max(0, Math.min(8, eighths - offset))]
+    })
+    // runs of buckets colored by their highest level
+    const runs = []
+    chars.forEach((char, bucket) => {
+      const color = levelProps(levels[bucket]).color
+      if (runs.at(-1)?.color === color) {
+        runs.at(-1).text += char
+      } else {
+        runs.push({ color, text: char })
+      }
+    })
+    return (
+      <Text key={row}>
+        {runs.map(({ color, text }, idx) => (
+          <Text key={idx} color={color}>
+            {text}
+          </Text>
+        ))}
+      </Text>
+    )
+  })
+  return (
+    <Box flexDirection='column' flexShrink={0}>
+      {bars}
+      <Text color='cyan'>{current === -1 ? ' ' : `${' '.repeat(current)}▲`}</Text>
+      <Box>
+        <Text dimColor>{formatTime(start)}</Text>
+        <Spacer />
+        <Text dimColor>
+          {formatSize(size)} buckets, up to {formatNumber(max)} per bucket
+        </Text>
+        <Spacer />
+        <Text dimColor>{formatTime(start + size * counts.length)}</Text>
+      </Box>
+    </Box>
+  )
+}
+
+function Completions({ completions, selected }) {
+  const width = Math.max(...completions.items.map(({ path }) => path.length))
+  return (
+    <Box flexDirection='column' borderStyle='round' borderColor='cyan' paddingX={1}>
+      {completions.items.map(({ path, count, samples }, idx) => (
+        <Box key={path} gap={2}>
+          <Box width={width} flexShrink={0}>
+            <Text inverse={idx === selected}>{path}</Text>
+          </Box>
+          <Box width={8} flexShrink={0} justifyContent='flex-end'>
+            <Text dimColor>{formatNumber(count)}</Text>
+          </Box>
+          <Text wrap='truncate' dimColor>
+            {samples.map(formatValue).join(', ')}
+          </Text>
+        </Box>
+      ))}
+      <Text dimColor>Tab: complete, ↑/↓: select</Text>
+    </Box>
+  )
+}
+
+// e.g. `Space: on/off, i: invert` for the actions of a panel that have a key
+function keyHints(hints) {
+  return hints
+    .flatMap(([action, desc]) => (keymap.key(action) ? [`${keymap.key(action)}: ${desc}`] : []))
+    .join(', ')
+}
+
+function StatsPanel({ field, stats, selected }) {
+  const { total, distinct, values, numbers } = stats
+  const width = Math.max(0, ...values.map(({ count }) => formatNumber(count).length))
+  return (
+    <Box flexDirection='column' borderStyle='round' borderColor='cyan' paddingX={1} flexShrink={0}>
+      <Text bold>
+        {field}: {formatNumber(distinct)} distinct values in {formatNumber(total)} entries (
+        {keyHints([
+          ['stats-include', 'include'],
+          ['stats-exclude', 'exclude'],
+        ])}
+        , Esc: close)
+      </Text>
+      {numbers && (
+        <Text color='yellow'>
+          {['min', 'max', 'mean', 'p50', 'p95', 'p99']
+            .map((stat) => `${stat} ${formatNumber(numbers[stat])}`)
+            .join('  ')}
+          {numbers.count < total ? `  (${formatNumber(numbers.count)} numbers)` : ''}
+        </Text>
+      )}
+      {values.length ? (
+        values.map(({ value, count }, idx) => (
+          <Box key={idx} gap={1}>
+            <Box width={width} flexShrink={0} justifyContent='flex-end'>
+              <Text>{formatNumber(count)}</Text>
+            </Box>
+            <Box width={6} flexShrink={0} justifyContent='flex-end'>
+              <Text dimColor>{((count / total) * 100).toFixed(1)}%</Text>
+            </Box>
+            <Text wrap='truncate' inverse={idx === selected} dimColor={value == null}>
+              {value == null ? '(missing)' : formatValue(value)}
+            </Text>
+          </Box>
+        ))
+      ) : (
+        <Text dimColor>No matching entries</Text>
+      )}
+    </Box>
+  )
+}
+
+function FilterPanel({ filters, entries, excluded, selected }) {
+  return (
+    <Box flexDirection='column' borderStyle='round' borderColor='cyan' paddingX={1} flexShrink={0}>
+      <Text bold>
+        Filters (
+        {keyHints([
+          ['filter-toggle', 'on/off'],
+          ['filter-invert', 'invert'],
+          ['filter-or', 'or'],
+          ['filter-edit', 'edit'],
+          ['filter-delete', 'delete'],
+          ['filter-move-up', 'up'],
+          ['filter-move-down', 'down'],
+        ])}
+        , Esc: close)
+      </Text>
+      {entries.length ? (
+        entries.map((idx, pos) => {
+          const fn = filters[idx]
+          return (
+            <Box key={idx} gap={1}>
+              <Text inverse={pos === selected}>{fn.spec?.disabled ? '[ ]' : '[x]'}</Text>
+              <Box width={3} flexShrink={0}>
+                <Text color='yellow'>{pos === 0 ? '' : fn.spec?.or ? 'OR' : 'AND'}</Text>
+              </Box>
+              <Text wrap='truncate' dimColor={fn.spec?.disabled}>
+                {fn.label}
+              </Text>
+              <Spacer />
+              <Text dimColor>excludes {formatNumber(excluded[idx] ?? 0)}</Text>
+            </Box>
+          )
+        })
+      ) : (
+        <Text dimColor>No filters</Text>
+      )}
+    </Box>
+  )
+}
+
 function Main(props) {
   const {
     rows,
@@ -232,22 +671,133 @@ function Main(props) {
     scan,
     status,
     messages,
-    matching,
     filters,
+    excluded,
     rescan,
+    sort,
+    clear,
     sorted,
   } = props
 
   const { exit } = useApp()
   const [item, setItem] = React.useState(undefined) // undefined = last
-  const [fields, setFields] = React.useState(['time', 'level', 'name', 'msg'])
-  const [selectedField, setSelectedField] = React.useState(3)
+  // the field and value entries are correlated by, and the item to return to
+  const [trace, setTrace] = React.useState(null)
+  // all entries sharing the value, regardless of the filters, in the order of `_sort`. Only the
+  // entries read since the last render are scanned, and their matches put in place.
+  const traceScan = React.useRef(null)
+  const traced = React.useMemo(() => {
+    if (!trace) {
+      traceScan.current = null
+      return null
+    }
+    let state = traceScan.current
+    if (state?.trace !== trace) {
+      state = traceScan.current = { trace, found: [], scanned: messages.start }
+    }
+    const { found } = state
+    const bySort = (idx) => messages.get(idx)._sort
+    dropBefore(found, messages.start)
+    for (let idx = Math.max(state.scanned, messages.start); idx < messages.length; ++idx) {
+      if (fp.isEqual(getField(trace.field, messages.get(idx)), trace.value)) {
+        found.splice(fp.sortedLastIndexBy(bySort, idx, found), 0, idx)
+      }
+    }
+    state.scanned = messages.length
+    return found
+  }, [trace, messages.start, messages.length])
+  const matching = traced ?? props.matching
+  const [fields, setFields] = React.useState(initialFields)
+  const [selectedField, setSelectedField] = React.useState(
+    Math.max(initialFields.indexOf(session.field ?? 'msg'), 0)
+  )
   const [inspect, setInspect] = React.useState()
   const [selected, setSelected] = React.useState([])
   const [prompt, setPrompt] = React.useState(null)
   const [query, setQuery] = React.useState('')
-  const [search, setSearch] = React.useState(null)
+  const [completion, setCompletion] = React.useState(0)
+  const [inputKey, setInputKey] = React.useState(0)
+  const [search, setSearch] = React.useState(session.search ?? null)
+  const searchFn = React.useMemo(() => search && createSearch(search, getField), [search])
   const [showHelp, setShowHelp] = React.useState(false)
+  const [notice, setNotice] = React.useState(null)
+  const [filterPanel, setFilterPanel] = React.useState(null) // selected entry, null when closed
+  const [showTimeline, setShowTimeline] = React.useState(false)
+  const completions = prompt?.complete ? complete(query, prompt.complete, fieldIndex.list()) : null
+  const [statsPanel, setStatsPanel] = React.useState(null) // selected value, null when closed
+  const stats = React.useMemo(
+    () => statsPanel !== null && fieldStats(messages, matching, fields[selectedField], getField),
+    [statsPanel !== null, fields[selectedField], messages.start, matching.length, scan]
+  )
+  const timeline = React.useMemo(
+    () => showTimeline && createTimeline(messages, matching, columns, sortTime),
+    [showTimeline, messages.start, matching.length, scan, columns]
+  )
+
+  // marks and position of a restored session, resolved as the messages are read
+  const restore = React.useRef(restoreState(session))
+  React.useEffect(() => {
+    const state = restore.current
+    if (!state) {
+      return
+    }
+    state.scanned = Math.max(Math.min(state.scanned, messages.length), messages.start)
+    const marks = []
+    for (; state.scanned < messages.length; ++state.scanned) {
+      const key = messageKey(messages.get(state.scanned))
+      if (state.marks.delete(key)) {
+        marks.push(state.scanned)
+      }
+      if (key === state.position) {
+        setItem(messages.get(state.scanned))
+      }
+    }
+    if (marks.length) {
+      setSelected((selected) => [...selected, ...marks])
+    }
+  })
+
+  // the marks of evicted or cleared messages are gone with them, and until the effect below drops
+  // them, skipped
+  const marks = () => selected.filter((idx) => idx >= messages.start)
+  React.useEffect(() => {
+    setSelected((selected) =>
+      selected.some((idx) => idx < messages.start)
+        ? selected.filter((idx) => idx >= messages.start)
+        : selected
+    )
+  }, [messages.start])
+
+  function getSession() {
+    return {
+      columns: fields,
+      field: fields[selectedField],
+      level: saveLevelFilter(filters[0]),
+      filters: filters.slice(1).map((fn) => fn.spec),
+      search: search ?? undefined,
+      selected: marks().map((idx) => messageKey(messages.get(idx))),
+      position: item === undefined ? null : messageKey(item ?? messages.get(matching[0])),
+    }
+  }
+
+  function applySession(session) {
+    const restored = [
+      restoreLevelFilter(session.level, getField),
+      ...(session.filters ?? []).map((spec) => createFilter(spec, getField)),
+    ]
+    const columns = session.columns ?? fields
+    filters.splice(0, filters.length, ...restored)
+    rescan()
+    setFields(columns)
+    setSelectedField(Math.max(columns.indexOf(session.field ?? 'msg'), 0))
+    setSearch(session.search ?? null)
+    setSelected([])
+    setItem(undefined)
+    restore.current = restoreState(session)
+  }
+
+  // the filters listed in the filter panel, the level filter only when set
+  const filterEntries = filters.flatMap((fn, idx) => (fn === filterNull ? [] : [idx]))
 
   const ref = React.useRef()
   const [numLines, setNumLines] = React.useState(0)
@@ -260,13 +810,13 @@ function Main(props) {
     if (item === undefined) {
       return matching.length - 1
     } else if (item) {
-      let idx = matching.findIndex((idx) => messages[idx] === item)
+      const index = messages.indexOf(item)
+      let idx = matching.indexOf(index)
       if (idx === -1) {
         if (sorted) {
-          idx = matching.findIndex((index) => messages[index]._sort > item._sort)
+          idx = matching.findIndex((index) => messages.get(index)._sort > item._sort)
         } else {
-          let messagesIdx = messages.indexOf(item)
-          idx = matching.findIndex((idx) => idx > messagesIdx)
+          idx = matching.findIndex((idx) => idx > index)
         }
       }
       return idx === -1 ? matching.length - 1 : idx
@@ -276,22 +826,53 @@ function Main(props) {
 
   function move (rel) {
     const pos = Math.max(0, Math.min(matching.length - 1, getPosition() + rel))
-    setItem(messages[matching[pos]])
+    setItem(messages.get(matching[pos]))
   }
 
+  // line `line` of the list, counting from 1
+  function goToLine(line) {
+    const pos = Math.max(0, Math.min(matching.length - 1, line - 1))
+    setItem(messages.get(matching[pos]))
+  }
+
+  // the count typed before a key, e.g. the 20 of 20j, read when the next key comes in
+  const count = React.useRef(null)
+  const [pendingCount, setPendingCount] = React.useState(null)
+
   useInput((input, key) => {
+    // the correlated entries evicted since the last render
+    if (traced) {
+      dropBefore(traced, messages.start)
+    }
     const pos = getPosition()
+    const action = keymap.action(input, key, { counted: count.current !== null })
 
-    function searchNext(query) {
-      if (!query) {
+    // the position of the `n`th entry after the current one passing `test`, before it if `n` is
+    // negative, or of the furthest one there is, or -1
+    function find(test, n) {
+      const step = Math.sign(n)
+      let found = -1
+      let left = Math.abs(n)
+      for (let idx = pos + step; left > 0 && idx >= 0 && idx < matching.length; idx += step) {
+        if (test(matching[idx])) {
+          found = idx
+          --left
+        }
+      }
+      return found
+    }
+
+    function searchNext(searchFn, n = 1) {
+      if (!searchFn) {
         return
       }
 
-      const searchFn = (msg) => JSON.stringify(msg).includes(query)
-      const idx = matching.find((x, idx) => idx > pos && searchFn(messages[x]))
-      setItem(idx !== undefined ? messages[idx] : undefined)
+      const found = find((idx) => searchFn(messages.get(idx)), n)
+      setItem(found !== -1 ? messages.get(matching[found]) : undefined)
     }
 
+    setNotice(null)
+
     if (showHelp) {
       setShowHelp(false)
       return
@@ -299,49 +880,185 @@ function Main(props) {
 
     if (prompt) {
       if (key.escape) {
+        setQuery('')
         setPrompt(null)
+      } else if (completions && key.upArrow) {
+        setCompletion(Math.max(completion - 1, 0))
+      } else if (completions && key.downArrow) {
+        setCompletion(Math.min(completion + 1, completions.items.length - 1))
+      } else if (completions && key.tab) {
+        const { start, suffix, items } = completions
+        setQuery(query.slice(0, start) + items[completion].path + suffix)
+        setCompletion(0)
+        // remount the input to move its cursor to the end
+        setInputKey(inputKey + 1)
+      }
+      return
+    }
+
+    if (filterPanel !== null) {
+      const idx = filterEntries[filterPanel]
+      const fn = filters[idx]
+      const update = (changes) => {
+        filters[idx] = createFilter({ ...fn.spec, ...changes }, getField)
+        rescan()
+      }
+      const panelAction = keymap.action(input, key, { context: 'filters' }) ?? action
+      if (key.escape || panelAction === 'filters' || panelAction === 'quit') {
+        setFilterPanel(null)
+      } else if (panelAction === 'up') {
+        setFilterPanel(Math.max(filterPanel - 1, 0))
+      } else if (panelAction === 'down') {
+        setFilterPanel(Math.min(filterPanel + 1, filterEntries.length - 1))
+      } else if (!fn) {
+        return
+      } else if (panelAction === 'filter-toggle') {
+        update({ disabled: !fn.spec.disabled })
+      } else if (panelAction === 'filter-invert') {
+        update({ invert: !fn.spec.invert })
+      } else if (panelAction === 'filter-or') {
+        update({ or: !fn.spec.or })
+      } else if (panelAction === 'filter-delete') {
+        if (idx === 0) {
+          filters[0] = filterNull
+        } else {
+          filters.splice(idx, 1)
+        }
+        setFilterPanel(Math.max(Math.min(filterPanel, filterEntries.length - 2), 0))
+        rescan()
+      } else if (panelAction === 'filter-edit') {
+        const { disabled, invert, or, field } = fn.spec
+        // field filters on objects and arrays stay field filters, with the value edited as JSON
+        const query = toQuery(fn)
+        const type =
+          ['text', 'time'].find((type) => type in fn.spec) ??
+          (query === null ? ('equals' in fn.spec ? 'equals' : 'notEquals') : 'query')
+        setQuery(query === null ? JSON.stringify(fn.spec[type]) : (fn.spec[type] ?? query))
+        setPrompt({
+          label: {
+            text: 'Filter',
+            time: 'Time Range',
+            query: 'Query',
+            equals: `${field} ==`,
+            notEquals: `${field} !=`,
+          }[type],
+          complete: { text: 'search', query: 'query' }[type],
+          onSubmit: (value) => {
+            if (value) {
+              const spec = query === null ? { field, [type]: JSON.parse(value) } : { [type]: value }
+              filters[idx] = createFilter({ ...spec, disabled, invert, or }, getField)
+              rescan()
+            }
+          },
+        })
+      } else if (panelAction === 'filter-move-up' || panelAction === 'filter-move-down') {
+        // the level filter stays first
+        const other = idx + (panelAction === 'filter-move-up' ? -1 : 1)
+        if (idx > 0 && other > 0 && other < filters.length) {
+          ;[filters[idx], filters[other]] = [filters[other], filters[idx]]
+          setFilterPanel(filterPanel + other - idx)
+          rescan()
+        }
       }
       return
     }
 
+    if (statsPanel !== null) {
+      const selected = stats.values[statsPanel]
+      const panelAction = keymap.action(input, key, { context: 'stats' }) ?? action
+      if (key.escape || panelAction === 'stats' || panelAction === 'quit') {
+        setStatsPanel(null)
+      } else if (panelAction === 'up') {
+        setStatsPanel(Math.max(statsPanel - 1, 0))
+      } else if (panelAction === 'down') {
+        setStatsPanel(Math.min(statsPanel + 1, stats.values.length - 1))
+      } else if (selected && (panelAction === 'stats-include' || panelAction === 'stats-exclude')) {
+        const field = fields[selectedField]
+        const spec =
+          panelAction === 'stats-exclude'
+            ? { field, notEquals: selected.value }
+            : { field, equals: selected.value }
+        filters.push(createFilter(spec, getField))
+        setStatsPanel(null)
+        rescan()
+      }
+      return
+    }
+
+    if (trace && key.escape && !inspect) {
+      setItem(trace.item)
+      setTrace(null)
+      return
+    }
+
     if (inspect) {
-      if (key.escape || key.return) {
+      if (key.escape || action === 'inspect') {
         setInspect(false)
-      } else if (key.shift && key.upArrow) {
+      } else if (action === 'prev-entry') {
         move(-1)
-      } else if (key.shift && key.downArrow) {
+      } else if (action === 'next-entry') {
         move(1)
       }
       return
     }
 
-    // upArrow downArrow leftArrow rightArrow pageDown pageUp return escape ctrl shift tab backspace delete meta
-    if (key.upArrow || input === 'k') {
-      move(-1)
-    } else if (key.downArrow || input === 'j') {
-      move(1)
-    } else if (key.pageUp || (key.ctrl && input === 'u')) {
-      move(-numLines)
-    } else if (key.pageDown || (key.ctrl && input === 'd')) {
-      move(numLines)
-    } else if (key.leftArrow || input === 'h') {
-      setSelectedField(Math.max(selectedField - 1, 0))
-    } else if (key.rightArrow || input === 'l') {
-      setSelectedField(Math.min(selectedField + 1, fields.length - 1))
-    } else if (key.return) {
-      setInspect(!inspect)
-    } else if (key.delete || key.backspace) {
-      if (key.meta || filters.length === 1) {
-        filters.length = 1
-        filters[0] = filterNull
-      } else {
-        filters.pop()
-      }
+    // counts don't start with 0
+    const digit = /^\d$/.test(input) && !key.ctrl && !key.meta
+    if (digit && (count.current !== null || input !== '0')) {
+      count.current = (count.current ?? 0) * 10 + Number(input)
+      setPendingCount(count.current)
+      return
+    }
+    const typed = count.current
+    const n = typed ?? 1
+    count.current = null
+    setPendingCount(null)
+
+    if (action?.startsWith('level-')) {
+      filters[0] = levelFilters[action.slice('level-'.length)]
       rescan()
+      return
+    }
+
+    // with --indexed, these would parse the whole file at once
+    if (indexed && action in readsAll) {
+      setNotice(`${readsAll[action]} can't be used with --indexed, as it reads every line`)
+      return
     }
 
-    switch (input) {
-      case ' ':
+    switch (action) {
+      case 'up':
+        move(-n)
+        break
+      case 'down':
+        move(n)
+        break
+      case 'page-up':
+        move(-numLines * n)
+        break
+      case 'page-down':
+        move(numLines * n)
+        break
+      case 'prev-field':
+        setSelectedField(Math.max(selectedField - n, 0))
+        break
+      case 'next-field':
+        setSelectedField(Math.min(selectedField + n, fields.length - 1))
+        break
+      case 'inspect':
+        setInspect(!inspect)
+        break
+      case 'remove-filter':
+      case 'clear-filters':
+        if (action === 'clear-filters' || filters.length === 1) {
+          filters.length = 1
+          filters[0] = filterNull
+        } else {
+          filters.pop()
+        }
+        rescan()
+        break
+      case 'mark':
         setSelected((selected) => {
           const item = matching[pos]
           const idx = selected.indexOf(item)
@@ -352,29 +1069,27 @@ function Main(props) {
           }
         })
         break
-      case 'm': {
-        const idx = matching.find((x, idx) => idx > pos && selected.includes(x))
-        setItem(idx !== undefined ? messages[idx] : undefined)
+      case 'next-mark': {
+        const found = find((idx) => selected.includes(idx), n)
+        setItem(found !== -1 ? messages.get(matching[found]) : undefined)
         break
       }
-      case 'M': {
-        const idx = matching.slice(0, pos).findLast((x) => selected.includes(x))
-        setItem(idx !== undefined ? messages[idx] : messages[matching[0]])
+      case 'prev-mark': {
+        const found = find((idx) => selected.includes(idx), -n)
+        setItem(messages.get(matching[found !== -1 ? found : 0]))
         break
       }
-      case 's': {
-        const selectedItems = selected.map((idx) => messages[idx])
-        messages.sort((a, b) => a._sort.localeCompare(b._sort))
-        rescan()
-        setSelected(selectedItems.map((item) => messages.indexOf(item)))
+      case 'sort': {
+        sort()
         break
       }
-      case '\\':
+      case 'remove-field':
         setFields(fields.toSpliced(selectedField, 1))
         break
-      case '*': {
+      case 'add-field': {
         setPrompt({
           label: 'Add Field',
+          complete: 'field',
           onSubmit: (field) => {
             if (field) {
               setFields([...fields, field])
@@ -383,124 +1098,284 @@ function Main(props) {
         })
         break
       }
-      case '&': {
+      case 'text-filter': {
         setPrompt({
           label: 'Filter',
+          complete: 'search',
           onSubmit: (query) => {
-            const filterFn = (msg) => JSON.stringify(msg).includes(query)
-            filterFn.label = `/${query}`
-            filters.push(filterFn)
+            filters.push(createFilter({ text: query }, getField))
             rescan()
           },
         })
         break
       }
-      case '/': {
+      case 'search': {
         setPrompt({
           label: 'Search',
+          complete: 'search',
           onSubmit: (query) => {
+            const fn = query && createSearch(query, getField)
             setSearch(query)
-            searchNext(query)
+            searchNext(fn)
           },
         })
         break
       }
-      case 'n': {
-        searchNext(search)
+      case 'search-next': {
+        searchNext(searchFn, n)
         break
       }
-      case 'N': {
-        if (search) {
-          const searchFn = (msg) => JSON.stringify(msg).includes(search)
-          const idx = matching.slice(0, pos).findLast((x) => searchFn(messages[x]))
-          setItem(idx !== undefined ? messages[idx] : messages[matching[0]])
+      case 'search-prev': {
+        if (searchFn) {
+          const found = find((idx) => searchFn(messages.get(idx)), -n)
+          setItem(messages.get(matching[found !== -1 ? found : 0]))
         }
         break
       }
-      case '=': {
-        const field = fields[selectedField]
-        setQuery(`this.${field}`)
+      case 'query-filter': {
+        setQuery(`${fields[selectedField]} `)
         setPrompt({
-          label: 'Expression',
+          label: 'Query',
+          complete: 'query',
           onSubmit: (query) => {
-            const filterFn = function (msg) {
-              return eval(query)
+            if (query) {
+              filters.push(createFilter({ query }, getField))
+              rescan()
             }
-            filterFn.label = query
-            filters.push(filterFn)
-            rescan()
           },
         })
         break
       }
-      case '1':
-        filters[0] = filterTrace
+      case 'level': {
+        // 1 to 6 for trace to fatal, or none without a count
+        const levels = Object.values(levelFilters)
+        if (typed !== null && !levels[typed - 1]) {
+          setNotice(`No level ${typed} (1=TRACE to 6=FATAL)`)
+          break
+        }
+        filters[0] = typed === null ? filterNull : levels[typed - 1]
         rescan()
         break
-      case '2':
-        filters[0] = filterDebug
+      }
+      case 'exclude': {
+        const field = fields[selectedField]
+        const value = getField(field, messages.get(matching.at(pos)))
+        filters.push(createFilter({ field, notEquals: value ?? null }, getField))
         rescan()
         break
-      case '3':
-        filters[0] = filterInfo
+      }
+      case 'include': {
+        const field = fields[selectedField]
+        const value = getField(field, messages.get(matching.at(pos)))
+        filters.push(createFilter({ field, equals: value ?? null }, getField))
         rescan()
         break
-      case '4':
-        filters[0] = filterWarning
-        rescan()
+      }
+      case 'save-session': {
+        setPrompt({
+          label: 'Save Session',
+          onSubmit: (name) => {
+            if (!name) {
+              return
+            }
+            try {
+              setNotice(`Saved session to ${saveSession(name, getSession())}`)
+            } catch (err) {
+              setNotice(err.message)
+            }
+          },
+        })
         break
-      case '5':
-        filters[0] = filterError
-        rescan()
+      }
+      case 'open-session': {
+        setPrompt({
+          label: 'Open Session',
+          onSubmit: (name) => {
+            if (!name) {
+              return
+            }
+            try {
+              applySession(loadSession(name))
+            } catch (err) {
+              setNotice(err.message)
+            }
+          },
+        })
         break
-      case '6':
-        filters[0] = filterFatal
-        rescan()
+      }
+      case 'filters': {
+        setFilterPanel(0)
         break
-      case '-': {
-        const field = fields[selectedField]
-        const value = fp.get(field, messages[matching.at(pos)])
-        const fn = (x) => !fp.isEqual(fp.get(field, x), value)
-        fn.label = `${field} != ${JSON.stringify(value) ?? 'undefined'}`
-        filters.push(fn)
-        rescan()
+      }
+      case 'export': {
+        // the marked entries if there are any, or all matching ones
+        const marked = marks()
+        const exported = marked.length
+          ? fp.sortBy((idx) => (sorted ? messages.get(idx)._sort : idx), marked)
+          : matching
+        const count = formatNumber(exported.length)
+        const what = marked.length ? 'marked' : 'matching'
+        setPrompt({
+          label: `Export ${count} ${what} entries ([${exportFormats.join('|')}] [file])`,
+          onSubmit: (text) => {
+            const [first, ...rest] = text.trim().split(/\s+/)
+            const [format, file] = exportFormats.includes(first)
+              ? [first, rest.join(' ')]
+              : [undefined, text.trim()]
+            // what was evicted while typing is gone
+            const available = exported.filter((idx) => idx >= messages.start)
+            const written = exportMessages(
+              available.map((idx) => messages.get(idx)),
+              {
+                format,
+                file: file || undefined,
+                fields,
+                getField,
+                texts: available.map((idx) => messages.text(idx)),
+              }
+            )
+            setNotice(`Exported ${count} entries to ${written}`)
+          },
+        })
         break
       }
-      case '+': {
+      case 'correlate': {
+        if (trace) {
+          setItem(trace.item)
+          setTrace(null)
+          break
+        }
         const field = fields[selectedField]
-        const value = fp.get(field, messages[matching.at(pos)])
-        const fn = (x) => fp.isEqual(fp.get(field, x), value)
-        fn.label = `${field} == ${JSON.stringify(value) ?? 'undefined'}`
-        filters.push(fn)
-        rescan()
+        const value = getField(field, messages.get(matching[pos]))
+        if (value == null) {
+          setNotice(`No ${field} to correlate by`)
+          break
+        }
+        setTrace({ field, value, item })
+        setItem(messages.get(matching[pos]))
         break
       }
-      case 'c': {
-        messages.length = 0
-        rescan()
+      case 'stats': {
+        setStatsPanel(0)
+        break
+      }
+      case 'percent': {
+        // 50% goes halfway
+        goToLine(Math.ceil((Math.min(n, 100) * matching.length) / 100))
+        break
+      }
+      case 'timeline': {
+        setShowTimeline(!showTimeline)
+        break
+      }
+      case 'next-bucket':
+      case 'prev-bucket': {
+        // the start of the `n`th next or previous bucket with entries
+        if (!timeline || !matching.length) {
+          break
+        }
+        const current = bucketOf(timeline, sortTime(messages.get(matching[pos])))
+        const { first } = timeline
+        let bucket = current
+        for (let step = 0; step < n; ++step) {
+          if (action === 'next-bucket') {
+            do {
+              ++bucket
+            } while (bucket < first.length && first[bucket] === -1)
+          } else if (step > 0 || first[current] >= pos) {
+            do {
+              --bucket
+            } while (bucket >= 0 && first[bucket] === -1)
+          }
+        }
+        if (first[bucket] >= 0) {
+          setItem(messages.get(matching[first[bucket]]))
+        }
+        break
+      }
+      case 'time-range': {
+        // times of day are on the day of the current entry
+        const base = messages.get(matching[pos])?._time
+        setPrompt({
+          label: 'Time Range',
+          onSubmit: (text) => {
+            if (text) {
+              filters.push(createFilter({ time: resolveTimeRange(text, base) }, getField))
+              rescan()
+            }
+          },
+        })
+        break
+      }
+      case 'go-to-time': {
+        // unsorted, the closest time is looked for in every line
+        if (indexed && !sorted) {
+          setNotice('Going to a time needs --sort with --indexed')
+          break
+        }
+        const base = messages.get(matching[pos])?._time
+        setPrompt({
+          label: 'Go to Time',
+          onSubmit: (text) => {
+            const time = parseTime(text, base)
+            if (isNaN(time)) {
+              throw new Error(`Invalid time: ${text}`)
+            }
+            const found = findTime(messages, matching, sorted, time)
+            if (found !== -1) {
+              setItem(messages.get(matching[found]))
+            }
+          },
+        })
+        break
+      }
+      case 'clear': {
+        clear()
+        break
+      }
+      case 'first': {
+        goToLine(n)
         break
       }
-      case 'g': {
-        setItem(messages[matching.at(0)])
+      case 'go-to-line': {
+        setPrompt({
+          label: 'Go to Line',
+          onSubmit: (text) => {
+            // a line number, or a percentage like 50%
+            const match = /^\s*(\d+)(%?)\s*$/.exec(text)
+            if (!text.trim()) {
+              return
+            } else if (!match) {
+              throw new Error(`Invalid line: ${text}`)
+            }
+            const line = Number(match[1])
+            goToLine(match[2] ? Math.ceil((Math.min(line, 100) * matching.length) / 100) : line)
+          },
+        })
         break
       }
-      case 'F': {
+      case 'follow': {
         setItem(undefined)
         break
       }
-      case 'G': {
-        setItem(messages[matching.at(-1)])
+      case 'last': {
+        goToLine(typed ?? matching.length)
         break
       }
-      case 'q': {
+      case 'quit': {
         exit()
+        break
       }
-      case '?': {
+      case 'help': {
         setShowHelp(!showHelp)
       }
     }
   })
 
+  // the correlated view also shows where each entry came from, and the time between them
+  const viewFields = trace ? ['source', 'delta', ...fields] : fields
+  const offset = viewFields.length - fields.length
+
   const data = []
 
   let pos = getPosition()
@@ -509,21 +1384,17 @@ function Main(props) {
     if (linePos >= matching.length) {
       continue
     }
-    const msg = messages[matching.at(linePos)] || {}
+    const msg = messages.get(matching.at(linePos)) || {}
     data.push(
-      fields.map((field) => {
-        const value = fp.get(field, msg)
-        if (field === 'time') {
-          return formatTime(value)
-        } else if (field === 'level') {
-          return formatLevel(value)
-        } else if (typeof value === 'string') {
-          return JSON.stringify(value).slice(1, -1)
-        } else if (typeof value === 'number') {
-          return formatNumber(value)
-        } else {
-          return JSON.stringify(value) ?? ' '
+      viewFields.map((field) => {
+        if (field === 'source') {
+          return String(msg._from)
+        } else if (field === 'delta') {
+          // since the previous step
+          const prev = messages.get(matching.at(linePos - 1))
+          return linePos > 0 ? `+${formatDuration(msg._time - prev._time)}` : ''
         }
+        return formatColumn(field, msg, getField)
       })
     )
   }
@@ -532,6 +1403,14 @@ function Main(props) {
     data.reduce((max, line) => Math.max(max, line[col].length ?? 0), 0)
   )
 
+  // the formatted time and level aren't searched
+  const highlighted = viewFields.map((field, idx) =>
+    idx >= offset &&
+    !['time', 'level'].includes(field) && (!searchFn?.field || searchFn.field === field)
+      ? searchFn
+      : null
+  )
+
   let lineIndex = 0
   const lines = []
   for (let linePos = start; linePos < start + numLines; ++linePos) {
@@ -552,19 +1431,21 @@ function Main(props) {
           <Box
             key={idx}
             width={widths[idx]}
-            flexShrink={['time', 'level', 'name'].includes(fields[idx]) ? 0 : 1}
-            flexGrow={fields[idx] === 'msg'}
+            flexShrink={idx < offset || ['time', 'level', 'name'].includes(viewFields[idx]) ? 0 : 1}
+            flexGrow={viewFields[idx] === 'msg'}
           >
             <Text
               wrap='truncate'
               dimColor={linePos !== pos}
-              color={selected.includes(matching.at(linePos)) ? 'blue' : null}
-              inverse={linePos === pos && selectedField === idx}
-              {...(fields[idx] === 'level'
-                ? levelProps(messages[matching.at(linePos)]?.level)
+              color={
+                selected.includes(matching.at(linePos)) ? 'blue' : idx < offset ? 'cyan' : null
+              }
+              inverse={linePos === pos && selectedField + offset === idx}
+              {...(viewFields[idx] === 'level'
+                ? levelProps(messages.get(matching.at(linePos))?._level)
                 : {})}
             >
-              {col}
+              <Highlight search={highlighted[idx]}>{col}</Highlight>
             </Text>
           </Box>
         ))}
@@ -572,7 +1453,7 @@ function Main(props) {
     )
   }
 
-  const rest = messages[matching.at(pos)] ?? {}
+  const rest = messages.get(matching.at(pos)) ?? {}
 
   return (
     <Box flexDirection='column' height={rows} width={columns}>
@@ -591,11 +1472,11 @@ function Main(props) {
           borderRight={false}
           borderTop={false}
         >
-          {fields.map((field, idx) => (
+          {viewFields.map((field, idx) => (
             <Box
               key={idx}
               width={widths[idx]}
-              flexShrink={['time', 'level', 'name'].includes(field) ? 0 : 1}
+              flexShrink={idx < offset || ['time', 'level', 'name'].includes(field) ? 0 : 1}
               flexGrow={field === 'msg' ? 1 : 0}
               height={1}
               overflowY='hidden'
@@ -609,14 +1490,21 @@ function Main(props) {
         </Box>
         {lines}
       </Box>
+      {showTimeline && (
+        <Timeline
+          timeline={timeline}
+          current={timeline && matching.length ? bucketOf(timeline, sortTime(rest)) : -1}
+        />
+      )}
       <Text>
         {Array.from({ length: columns }, (_, idx) =>
-          idx / columns > scan / messages.length ? '-' : '═'
+          idx / columns > (scan - messages.start) / (messages.length - messages.start) ? '-' : '═'
         ).join('')}
       </Text>
       <ScrollBox
         key={matching[pos]}
         focus={inspect}
+        search={searchFn}
         borderStyle='double'
         borderTop={false}
         borderLeft={false}
@@ -628,43 +1516,150 @@ function Main(props) {
       >
         {formatObject(rest, { lineWidth: columns - 4 })}
       </ScrollBox>
+      {statsPanel !== null && (
+        <StatsPanel field={fields[selectedField]} stats={stats} selected={statsPanel} />
+      )}
+      {filterPanel !== null && (
+        <FilterPanel
+          filters={filters}
+          entries={filterEntries}
+          excluded={excluded}
+          selected={filterPanel}
+        />
+      )}
       {showHelp ? (
         <HelpPopup />
       ) : prompt ? (
-        <Box>
-          <Text>{prompt.label}: </Text>
-          <TextInput
-            value={query}
-            onChange={setQuery}
-            onSubmit={() => {
-              prompt.onSubmit(query)
-              setQuery('')
-              setPrompt(null)
-            }}
-          />
-          <Spacer />
-          <Text>.</Text>
+        <Box flexDirection='column' flexShrink={0}>
+          {completions && <Completions completions={completions} selected={completion} />}
+          <Box>
+            <Text>{prompt.label}: </Text>
+            <TextInput
+              key={inputKey}
+              value={query}
+              onChange={(value) => {
+                setQuery(value)
+                setCompletion(0)
+                if (prompt.error) {
+                  setPrompt({ ...prompt, error: null })
+                }
+              }}
+              onSubmit={() => {
+                // keep the prompt open on invalid input, e.g. a query that doesn't parse
+                try {
+                  prompt.onSubmit(query)
+                } catch (err) {
+                  setPrompt({ ...prompt, error: err.message })
+                  return
+                }
+                setQuery('')
+                setPrompt(null)
+              }}
+            />
+            <Spacer />
+            {prompt.error ? <Text color='red'>{prompt.error}</Text> : <Text>.</Text>}
+          </Box>
         </Box>
       ) : (
         <Box gap='1'>
-          <Text>
-            {filters
-              .map((fn) => fn.label ?? fn.toString())
-              .filter(Boolean)
-              .join(' & ') || 'No filters'}
-          </Text>
+          {notice ? (
+            <Text color='yellow'>{notice}</Text>
+          ) : trace ? (
+            <Text color='cyan'>
+              Correlated by {trace.field} == {JSON.stringify(trace.value)} (
+              {[keymap.key('correlate'), 'Esc'].filter(Boolean).join(' or ')} to return)
+            </Text>
+          ) : (
+            <Text>
+              {describeFilters(filters) || 'No filters'}
+            </Text>
+          )}
           <Spacer />
           <Text>Mem: {Math.round(process.memoryUsage().rss / 1e6)} MB</Text>
           <Spacer />
+          {pendingCount !== null && <Text bold>{pendingCount}</Text>}
           <Text>Matching: {matching.length}</Text>
-          <Text>Total: {messages.length}</Text>
+          <Text>Total: {messages.length - messages.start}</Text>
+          {messages.evicted > 0 && <Text dimColor>Evicted: {messages.evicted}</Text>}
         </Box>
       )}
     </Box>
   )
 }
 
-function ScrollBox({ focus, children, ...props }) {
+// removes the positions before `start` from `list`, in place
+function dropBefore(list, start) {
+  let kept = 0
+  for (const idx of list) {
+    if (idx >= start) {
+      list[kept++] = idx
+    }
+  }
+  list.length = kept
+}
+
+// the views that read every entry, which --indexed doesn't have
+const readsAll = { correlate: 'Correlating', stats: 'Field statistics', timeline: 'The timeline' }
+
+// the time an entry is sorted by, which is carried forward to entries without one
+function sortTime(msg) {
+  return Number(msg._sort.slice(0, 13))
+}
+
+// the position in `matching` of the entry closest to `time`
+function findTime(messages, matching, sorted, time) {
+  const distance = (pos) => Math.abs(sortTime(messages.get(matching[pos])) - time)
+  if (!matching.length) {
+    return -1
+  } else if (!sorted) {
+    let found = -1
+    for (let pos = 0; pos < matching.length; ++pos) {
+      if (found === -1 || distance(pos) < distance(found)) {
+        found = pos
+      }
+    }
+    return found
+  }
+  let lo = 0
+  let hi = matching.length
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1
+    if (sortTime(messages.get(matching[mid])) < time) {
+      lo = mid + 1
+    } else {
+      hi = mid
+    }
+  }
+  return lo > 0 && (lo === matching.length || distance(lo - 1) <= distance(lo)) ? lo - 1 : lo
+}
+
+function restoreState(session) {
+  if (!session.selected?.length && session.position === undefined) {
+    return null
+  }
+  return {
+    marks: new Set(session.selected),
+    position: session.position,
+    scanned: 0,
+  }
+}
+
+function Highlight({ search, children }) {
+  if (!search) {
+    return children
+  }
+  return highlight(children, search).map(([part, matched], idx) =>
+    matched ? (
+      <Text key={idx} color='black' backgroundColor='yellow'>
+        {part}
+      </Text>
+    ) : (
+      part
+    )
+  )
+}
+
+function ScrollBox({ focus, search, children, ...props }) {
   const [boxHeight, setBoxHeight] = React.useState(0)
   const lines = children.split('\n')
   const contentHeight = lines.length
@@ -694,11 +1689,16 @@ function ScrollBox({ focus, children, ...props }) {
 
   return (
     <Box ref={ref} {...props}>
-      <Text>{lines.slice(scroll).join('\n')}</Text>
+      <Text>
+        <Highlight search={search}>{lines.slice(scroll).join('\n')}</Highlight>
+      </Text>
     </Box>
   )
 }
 
+// the filters added that can be removed again without checking all messages again
+const maxHistory = 5
+
 function App() {
   const [state, setState] = React.useState({
     columns: process.stdout.columns,
@@ -706,11 +1706,14 @@ function App() {
     scan: 0,
     scanPosition: 0,
     status: 'starting...',
-    messages: [],
+    messages: createStore(),
     matching: [],
     filters: [],
+    excluded: [],
     completed: 0,
     rescan: () => {},
+    sort: () => {},
+    clear: () => {},
   })
 
   React.useEffect(() => {
@@ -728,6 +1731,9 @@ function App() {
   }, [])
 
   React.useLayoutEffect(() => {
+    if (indexed) {
+      return scanIndexed(setState)
+    }
     const ac = new AbortController()
 
     let sort = opts.sort
@@ -735,93 +1741,279 @@ function App() {
     let resume = null
     let completed = 0
     let status = 'starting...'
-    const messages = []
+    // spilled messages are parsed again by the parser of their input, keeping their `_sort`
+    const entryParsers = inputs.map((input, idx) =>
+      createEntryParser({
+        format: input.format ?? opts.format,
+        getTime,
+        normalizeLevel,
+        input: idx,
+        from: input.label ?? idx,
+        carry: false,
+      })
+    )
+    const messages = createStore({
+      ...storeOptions,
+      parse: (text, sort) => {
+        const [, input, line] = sort.split(':').map(Number)
+        const msg = entryParsers[input](text, line)
+        msg._sort = sort
+        return msg
+      },
+      // before anything else gets the evicted positions
+      onEvict: () => dropEvicted(),
+    })
+    // the order messages are checked in when sorting
+    const merger = createMerger(messages, inputs.length, sortWindow)
     const matching = []
-    const filters = [filterNull]
+    const filters = [...initialFilters]
+    let match = createMatcher(filters)
+    let start = 0
+    // the filters `matching` is for, and what it was before each filter added to them
+    let scanned = [...filters]
+    const history = []
+    // a filter added, which the entries in `matching` are checked against from `pos`, keeping them
+    // from `kept` back
+    let narrowing = null
+    const pool = workers ? createFilterPool(workers, workerOptions, messages) : null
+    // the messages handed to the pool so far, and the scan it's doing
+    let dispatched = 0
+    let pooled = null
 
-    function rescan() {
-      scan = matching.length = 0
+    function rescan({ full = false } = {}) {
+      const added =
+        filters.length === scanned.length + 1 && scanned.every((fn, idx) => filters[idx] === fn)
+          ? filters.at(-1)
+          : null
+      const last = history.at(-1)
+      if (narrowing) {
+        narrow(Infinity)
+      }
+      if (!full && !pooled && added && narrows(added)) {
+        const previous = match
+        history.push({
+          filters: scanned,
+          matching: [...matching],
+          scan,
+          merged: merger.save(),
+          excluded: [...previous.excluded],
+        })
+        // each holds a copy of `matching`, so only the last ones are kept
+        if (history.length > maxHistory) {
+          history.shift()
+        }
+        match = createMatcher(filters)
+        previous.excluded.forEach((count, idx) => (match.excluded[idx] = count))
+        narrowing = { fn: added, idx: filters.length - 1, pos: 0, kept: 0 }
+      } else if (!full && !pooled && last && fp.isEqual(last.filters, filters)) {
+        // removed the filter added last, so back to before it was added, scanning what was read
+        // since
+        history.pop()
+        matching.length = 0
+        last.matching.forEach((idx) => matching.push(idx))
+        scan = last.scan
+        merger.restore(last.merged)
+        match = createMatcher(filters)
+        last.excluded.forEach((count, idx) => (match.excluded[idx] = count))
+        dropEvicted()
+      } else {
+        history.length = 0
+        matching.length = 0
+        match = createMatcher(filters)
+        scan = messages.start
+        merger.rewind(scan)
+        if (pool) {
+          scanPool()
+        }
+      }
+      scanned = [...filters]
       resume?.()
     }
 
+    // re-checks the entries in `matching` against the filter added, until `deadline`
+    function narrow(deadline) {
+      const { fn, idx } = narrowing
+      while (narrowing.pos < matching.length) {
+        const position = matching[narrowing.pos++]
+        const msg = messages.get(position)
+        if (fn.call(msg, msg)) {
+          matching[narrowing.kept++] = position
+        } else {
+          ++match.excluded[idx]
+        }
+        if (Date.now() > deadline) {
+          return
+        }
+      }
+      matching.length = narrowing.kept
+      narrowing = null
+    }
+
+    // the pool filters what was read so far, and the messages read after are scanned here as usual
+    function scanPool() {
+      dispatch()
+      scan = messages.length
+      merger.rewind(scan)
+      const request = (pooled = pool.scan(filters, sort))
+      request.then(
+        (result) => {
+          if (!result || pooled !== request) {
+            return
+          }
+          pooled = null
+          const key = sort ? (idx) => messages.get(idx)._sort : (idx) => idx
+          const compare = (a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0)
+          const merged = mergeSorted([...result.lists, matching], compare)
+          matching.length = 0
+          merged.forEach((idx) => matching.push(idx))
+          result.excluded.forEach((count, idx) => (match.excluded[idx] += count))
+          dropEvicted()
+          resume?.()
+        },
+        (err) => {
+          pooled = null
+          status = 'error filtering: ' + err.message
+          resume?.()
+        }
+      )
+    }
+
+    // hands the messages read since the last time to the pool
+    function dispatch() {
+      dispatched = Math.max(dispatched, messages.start)
+      while (dispatched < messages.length) {
+        const batch = []
+        for (; dispatched < messages.length && batch.length < 10000; ++dispatched) {
+          batch.push(messages.get(dispatched))
+        }
+        pool.add(batch, dispatched - batch.length)
+      }
+    }
+
+    // the order of messages doesn't change, `matching` is kept sorted instead
+    function sortMessages() {
+      sort = true
+      rescan({ full: true })
+    }
+
+    function clear() {
+      messages.clear()
+      rescan({ full: true })
+    }
+
+    // drops the positions of evicted messages
+    function dropEvicted() {
+      if (narrowing) {
+        narrow(Infinity)
+      }
+      start = messages.start
+      scan = Math.max(scan, start)
+      merger.drop(start)
+      pool?.evict(start)
+      dropBefore(matching, start)
+    }
+
     async function loop() {
       while (!ac.signal.aborted) {
-        const start = Date.now()
-        while (scan < messages.length) {
-          const message = messages[scan]
-          if (filters.every((fn) => fn.call(message, message))) {
-            if (sort) {
-              const idx = fp.sortedIndexBy((idx) => messages[idx]._sort, scan, matching)
-              matching.splice(idx, 0, scan)
-            } else {
-              matching.push(scan)
+        // after clearing
+        if (messages.start !== start) {
+          dropEvicted()
+        }
+        if (pool) {
+          dispatch()
+        }
+        const started = Date.now()
+        if (narrowing) {
+          narrow(started + 100)
+        }
+        if (sort) {
+          for (let idx = narrowing ? -1 : merger.next(); idx !== -1; idx = merger.next()) {
+            const message = messages.get(idx)
+            if (match(message)) {
+              // only messages read late sort before the last one
+              const last = messages.get(matching.at(-1))
+              if (last && last._sort > message._sort) {
+                const pos = fp.sortedIndexBy((idx) => messages.get(idx)._sort, idx, matching)
+                matching.splice(pos, 0, idx)
+              } else {
+                matching.push(idx)
+              }
+            }
+            if (Date.now() - started > 100) {
+              break
             }
           }
+          scan = messages.start + merger.merged
+        }
+        while (!sort && !narrowing && scan < messages.length) {
+          if (match(messages.get(scan))) {
+            matching.push(scan)
+          }
           ++scan
-          if (Date.now() - start > 100) {
+          if (Date.now() - started > 100) {
             break
           }
         }
         setState((state) => ({
           ...state,
           sorted: sort,
-          scan,
-          status,
+          // the progress of the pool isn't known, so until it's done, nothing's scanned
+          scan: pooled ? messages.start : scan,
+          status: pooled ? 'filtering...' : status,
           messages,
           matching,
           filters,
+          excluded: match.excluded,
           completed,
           rescan,
+          sort: sortMessages,
+          clear,
         }))
         await tp.setTimeout(20)
-        if (scan < messages.length) {
+        if (narrowing || (scan < messages.length && !(sort && merger.waiting))) {
           continue
         }
-        // wait for resume...
+        // wait for resume, or for the messages held back by the merger to be let through
+        const timer = sort && merger.waiting ? setTimeout(() => resume?.(), sortWindow) : null
         await new Promise((resolve) => {
           resume = resolve
         })
+        clearTimeout(timer)
         resume = null
       }
     }
 
     status = `reading files (${completed}/${inputs.length})`
+    // the last error reading an input
+    let inputError = null
     loop().catch((err) => console.error('error', err))
 
-    Promise.all(
-      inputs.map(async (input, idx) => {
-        await pipeline(
-          input,
-          split(parseLine),
-          async (msgs) => {
-            let time = 0
-            let line = 0
-            for await (const msg of msgs) {
-              ++line
-              if ('time' in msg) {
-                time = new Date(msg.time).getTime() || 0
-              }
-              msg._sort = `${String(time).padStart(13, '0')}:${String(idx).padStart(4, '0')}:${String(line).padStart(9, '0')}`
-              msg._from = input.label ?? idx
-              msg._line = line
-              messages.push(msg)
-              if (resume) {
-                setImmediate(resume)
-                resume = null
-              }
-            }
-          },
-          { signal: ac.signal }
-        ).catch((err) => {
-          status = err.message
-        })
+    readInputs(inputs, {
+      format: opts.format,
+      multiline: opts.multiline,
+      getTime,
+      normalizeLevel,
+      signal: ac.signal,
+      onMessage: (msg, text, input) => {
+        fieldIndex.add(msg)
+        messages.push(msg, text)
+        merger.add(messages.length - 1, input)
+        if (resume) {
+          setImmediate(resume)
+          resume = null
+        }
+      },
+      onInputEnd: (err, input) => {
+        merger.end(input)
         completed += 1
-        status = `reading files (${completed}/${inputs.length})`
+        // the error stays shown until the next one
+        inputError = err ? err.message : inputError
+        status = inputError ?? `reading files (${completed}/${inputs.length})`
         resume?.()
-      })
-    ).then(
+      },
+    }).then(
       () => {
-        status = 'end of file'
+        status = inputError ?? 'end of file'
         resume?.()
       },
       (err) => {
@@ -839,6 +2031,109 @@ function App() {
   return <Main {...state} />
 }
 
+// For --indexed: lines are parsed when shown, and filtered by a worker
+function scanIndexed(setState) {
+  const { file, offsets, options } = indexed
+  const { parse } = createLineParser(options)
+  const messages = createIndexedStore(
+    file,
+    offsets,
+    (text, line) => {
+      const msg = parse(text, line)
+      fieldIndex.add(msg)
+      return msg
+    },
+    { start: opts.tail ? offsets.length - 1 - Number(opts.tail) : 0 }
+  )
+  const worker = createFilterWorker(file, offsets, options)
+  const matching = []
+  // when sorting, the `_sort` of each entry in `matching`
+  const keys = []
+  const filters = [...initialFilters]
+  let sort = opts.sort
+  let scan = messages.start
+  let status = 'filtering...'
+  let excluded = []
+
+  function update() {
+    setState((state) => ({
+      ...state,
+      sorted: sort,
+      scan,
+      status,
+      messages,
+      matching,
+      filters,
+      excluded,
+      completed: 1,
+      rescan,
+      sort: sortMessages,
+      clear,
+    }))
+  }
+
+  // Merges a chunk of matches in `_sort` order into `matching`. Lines are mostly in order, so
+  // only the end of `matching` that sorts after the chunk's first entry is merged again.
+  function mergeChunk(matches, chunkKeys) {
+    if (!matches.length) {
+      return
+    }
+    const from = fp.sortedLastIndex(chunkKeys[0], keys)
+    const entries = (positions, sortKeys) => positions.map((idx, pos) => [sortKeys[pos], idx])
+    const compare = (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)
+    const merged = mergeSorted(
+      [entries(matching.slice(from), keys.slice(from)), entries(matches, chunkKeys)],
+      compare
+    )
+    matching.length = from
+    keys.length = from
+    for (const [key, idx] of merged) {
+      matching.push(idx)
+      keys.push(key)
+    }
+  }
+
+  function rescan() {
+    matching.length = 0
+    keys.length = 0
+    scan = messages.start
+    status = 'filtering...'
+    worker.scan(filters, messages.start, sort, (result) => {
+      if (result.error) {
+        status = 'error filtering: ' + result.error
+      } else {
+        if (sort) {
+          mergeChunk(result.matches, result.keys)
+        } else {
+          result.matches.forEach((idx) => matching.push(idx))
+        }
+        scan = result.scanned
+        excluded = result.excluded
+        if (scan === messages.length) {
+          status = 'end of file'
+        }
+      }
+      update()
+    })
+    update()
+  }
+
+  function sortMessages() {
+    sort = true
+    rescan()
+  }
+
+  function clear() {
+    messages.clear()
+    rescan()
+  }
+
+  rescan()
+  return () => {
+    worker.terminate()
+  }
+}
+
 const enterAltScreenCommand = '\x1b[?1049h'
 const leaveAltScreenCommand = '\x1b[?1049l'
 
@@ -856,14 +2151,3 @@ process.stdout.write(leaveAltScreenCommand)
 // fs.closeSync(ttyfd)
 // console.log('all done')
 process.exit(0)
-
-function parseLine(row) {
-  try {
-    if (!row || row[0] !== '{') {
-      return { msg: row, level: 100 }
-    }
-    return JSON.parse(row)
-  } catch (err) {
-    return { msg: row, level: 100 }
-  }
-}
@@ -0,0 +1,57 @@
+import { pipeline } from 'node:stream/promises'
+import split from 'split2'
+import { createGrouper } from './multiline.mjs'
+import { createParser } from './parsers.mjs'
+
+// Returns a function parsing the text of an entry into a message with the internal fields set.
+// Entries without a time are sorted by the time of the entry parsed before them, if `carry` is set,
+// which needs them to be parsed in order.
+export function createEntryParser({ format, getTime, normalizeLevel, input, from, carry = true }) {
+  const parse = createParser(format)
+  let time = 0
+  return (text, line) => {
+    const msg = parse(text)
+    msg._time = getTime(msg) || undefined
+    if (msg._time || !carry) {
+      time = Math.floor(msg._time ?? 0)
+    }
+    msg._sort = `${String(time).padStart(13, '0')}:${String(input).padStart(4, '0')}:${String(line).padStart(9, '0')}`
+    msg._from = from
+    msg._line = line
+    msg._level = normalizeLevel(msg)
+    return msg
+  }
+}
+
+// Reads the inputs into messages with the internal fields set (see `internalFields`), calling
+// `onMessage` with each one, its text and the index of its input as it's read, and `onInputEnd`
+// when an input ends, with the error if reading it failed and the index.
+export function readInputs(inputs, options) {
+  const { format, multiline, getTime, normalizeLevel, signal, onMessage, onInputEnd } = options
+  return Promise.all(
+    inputs.map(async (input, idx) => {
+      let error = null
+      await pipeline(
+        input,
+        split(),
+        createGrouper(multiline),
+        async (entries) => {
+          const parse = createEntryParser({
+            format: input.format ?? format,
+            getTime,
+            normalizeLevel,
+            input: idx,
+            from: input.label ?? idx,
+          })
+          for await (const { text, line } of entries) {
+            onMessage(parse(text, line), text, idx)
+          }
+        },
+        { signal }
+      ).catch((err) => {
+        error = err
+      })
+      onInputEnd?.(error, idx)
+    })
+  )
+}
@@ -0,0 +1,287 @@
+import { levelFilters } from './filters.mjs'
+
+// The key bindings of the list, which the `keys` setting of the config file can change, e.g.
+// `keys: { add-field: a, remove-field: [X, ctrl+x] }`. Keys are a character, or one of `names`,
+// optionally after `ctrl+`, `meta+` or `shift+`. Digits can't be bound, as they're counts, e.g. the
+// 20 of `20j`.
+//
+// Bindings with a `context` only apply in that panel, where the others apply too unless a key is
+// bound in both. Bindings with `count` only apply after a count, and before the ones without.
+
+// names in bindings, with the flag Ink sets for them and how help shows them
+const names = {
+  up: { flag: 'upArrow', label: '↑' },
+  down: { flag: 'downArrow', label: '↓' },
+  left: { flag: 'leftArrow', label: '←' },
+  right: { flag: 'rightArrow', label: '→' },
+  pageup: { flag: 'pageUp', label: 'PgUp' },
+  pagedown: { flag: 'pageDown', label: 'PgDn' },
+  enter: { flag: 'return', label: 'Enter' },
+  escape: { flag: 'escape', label: 'Esc' },
+  tab: { flag: 'tab', label: 'Tab' },
+  backspace: { flag: 'backspace', label: 'Backspace' },
+  delete: { flag: 'delete', label: 'Delete' },
+  space: { label: 'Space' },
+}
+const synonyms = { return: 'enter', esc: 'escape', del: 'delete', ' ': 'space' }
+const modifiers = ['ctrl', 'meta', 'shift']
+
+// in the order of the help popup
+export const bindings = [
+  { action: 'down', keys: ['j', 'down'], desc: 'Move down one line' },
+  { action: 'up', keys: ['k', 'up'], desc: 'Move up one line' },
+  { action: 'page-down', keys: ['ctrl+d', 'pagedown'], desc: 'Move down half page' },
+  { action: 'page-up', keys: ['ctrl+u', 'pageup'], desc: 'Move up half page' },
+  { action: 'prev-field', keys: ['h', 'left'], desc: 'Select previous field' },
+  { action: 'next-field', keys: ['l', 'right'], desc: 'Select next field' },
+  { action: 'first', keys: ['g'], desc: 'Go to first line, or to line <count>' },
+  { action: 'last', keys: ['G'], desc: 'Go to last line, or to line <count>' },
+  { action: 'go-to-line', keys: [':'], desc: 'Go to a line' },
+  { action: 'follow', keys: ['F'], desc: 'Follow mode (jump to end)' },
+  {
+    action: 'level',
+    keys: ['L'],
+    desc: 'Filter by log level <count> (1=TRACE to 6=FATAL), or remove the level filter',
+  },
+  ...Object.keys(levelFilters).map((level) => ({
+    action: `level-${level}`,
+    keys: [],
+    desc: `Filter by log level ${level.toUpperCase()}`,
+  })),
+  {
+    action: 'include',
+    keys: ['+'],
+    desc: 'Include: filter to entries where field equals current value',
+  },
+  {
+    action: 'exclude',
+    keys: ['-'],
+    desc: 'Exclude: filter out entries where field equals current value',
+  },
+  { action: 'text-filter', keys: ['&'], desc: 'Add text filter (text, /regex/ or field:text)' },
+  {
+    action: 'query-filter',
+    keys: ['='],
+    desc: 'Add query filter (e.g. level>=warn and duration > 500)',
+  },
+  { action: 'remove-filter', keys: ['backspace', 'delete'], desc: 'Remove last filter' },
+  { action: 'clear-filters', keys: ['meta+backspace', 'meta+delete'], desc: 'Clear all filters' },
+  {
+    action: 'filters',
+    keys: ['f'],
+    desc: 'Manage filters (toggle, invert, or, edit, delete, reorder)',
+  },
+  {
+    action: 'export',
+    keys: ['x'],
+    desc: 'Export marked or matching entries as ndjson, csv or yaml',
+  },
+  {
+    action: 'correlate',
+    keys: ['r'],
+    desc: 'Show all entries sharing the selected field value (e.g. a trace id)',
+  },
+  {
+    action: 'stats',
+    keys: ['%'],
+    desc: 'Show value counts and numeric stats of the selected field',
+  },
+  {
+    action: 'percent',
+    keys: ['%'],
+    count: true,
+    desc: 'Go to <count> percent of the list, e.g. 50%',
+  },
+  { action: 'timeline', keys: ['H'], desc: 'Toggle timeline of matching entries' },
+  { action: 'prev-bucket', keys: ['['], desc: 'Previous timeline bucket' },
+  { action: 'next-bucket', keys: [']'], desc: 'Next timeline bucket' },
+  {
+    action: 'time-range',
+    keys: ['T'],
+    desc: 'Filter by time range (e.g. last 5m or 10:00..10:15)',
+  },
+  { action: 'go-to-time', keys: ['t'], desc: 'Go to time (e.g. 14:32:05)' },
+  { action: 'search', keys: ['/'], desc: 'Search forward (text, /regex/ or field:text)' },
+  { action: 'search-next', keys: ['n'], desc: 'Next search result' },
+  { action: 'search-prev', keys: ['N'], desc: 'Previous search result' },
+  { action: 'mark', keys: ['space'], desc: 'Toggle selection on current line' },
+  { action: 'next-mark', keys: ['m'], desc: 'Jump to next selected line' },
+  { action: 'prev-mark', keys: ['M'], desc: 'Jump to previous selected line' },
+  { action: 'sort', keys: ['s'], desc: 'Sort messages by timestamp, also the ones read after' },
+  { action: 'add-field', keys: ['*'], desc: 'Add new field to display' },
+  { action: 'remove-field', keys: ['\\'], desc: 'Remove selected field from display' },
+  { action: 'inspect', keys: ['enter'], desc: 'Toggle detailed inspection view' },
+  {
+    action: 'next-entry',
+    keys: ['shift+down'],
+    desc: 'Next log item when in inspector view',
+  },
+  {
+    action: 'prev-entry',
+    keys: ['shift+up'],
+    desc: 'Previous log item when in inspector view',
+  },
+  { action: 'save-session', keys: ['w'], desc: 'Save view to a named session' },
+  { action: 'open-session', keys: ['o'], desc: 'Open a saved session' },
+  { action: 'clear', keys: ['c'], desc: 'Clear all messages' },
+  { action: 'quit', keys: ['q'], desc: 'Quit application' },
+  { action: 'help', keys: ['?'], desc: 'Show this help popup' },
+  {
+    action: 'filter-toggle',
+    context: 'filters',
+    keys: ['space'],
+    desc: 'Filter panel: enable or disable the filter',
+  },
+  {
+    action: 'filter-invert',
+    context: 'filters',
+    keys: ['i'],
+    desc: 'Filter panel: invert the filter',
+  },
+  {
+    action: 'filter-or',
+    context: 'filters',
+    keys: ['o'],
+    desc: 'Filter panel: toggle between AND and OR with the filter before it',
+  },
+  {
+    action: 'filter-edit',
+    context: 'filters',
+    keys: ['e', 'enter'],
+    desc: 'Filter panel: edit the filter',
+  },
+  {
+    action: 'filter-delete',
+    context: 'filters',
+    keys: ['d', 'backspace', 'delete'],
+    desc: 'Filter panel: delete the filter',
+  },
+  {
+    action: 'filter-move-up',
+    context: 'filters',
+    keys: ['K'],
+    desc: 'Filter panel: move the filter up',
+  },
+  {
+    action: 'filter-move-down',
+    context: 'filters',
+    keys: ['J'],
+    desc: 'Filter panel: move the filter down',
+  },
+  {
+    action: 'stats-include',
+    context: 'stats',
+    keys: ['+', 'enter'],
+    desc: 'Stats panel: filter to entries with the selected value',
+  },
+  {
+    action: 'stats-exclude',
+    context: 'stats',
+    keys: ['-'],
+    desc: 'Stats panel: filter out entries with the selected value',
+  },
+]
+
+// `Ctrl+d` as `ctrl+d`, `Return` as `enter`
+function normalizeKey(spec) {
+  const parts = String(spec).split('+')
+  // `+` itself, or e.g. `ctrl++`
+  const key = parts.at(-1) === '' && parts.length > 1 ? '+' : parts.at(-1)
+  const mods = parts
+    .slice(0, key === '+' && parts.length > 1 ? -2 : -1)
+    .map((mod) => mod.toLowerCase())
+  const name = synonyms[key.toLowerCase()] ?? (key.length > 1 ? key.toLowerCase() : key)
+  if (
+    !(name.length === 1 || name in names) ||
+    !mods.every((mod) => modifiers.includes(mod)) ||
+    // upper case letters are shifted already
+    (mods.includes('shift') && name.length === 1) ||
+    /^\d$/.test(name)
+  ) {
+    throw new Error(`Invalid key: ${spec}`)
+  }
+  return [...modifiers.filter((mod) => mods.includes(mod)), name].join('+')
+}
+
+// the key pressed, as in bindings, from what Ink's useInput gets
+export function keyOf(input, key) {
+  const name = Object.keys(names).find((name) => key[names[name].flag])
+  if (name) {
+    // Ink sets meta for escape
+    const mods = modifiers.filter((mod) => key[mod] && !(mod === 'meta' && name === 'escape'))
+    return [...mods, name].join('+')
+  } else if (input === ' ') {
+    return 'space'
+  }
+  // upper case letters come with shift
+  return [...modifiers.filter((mod) => mod !== 'shift' && key[mod]), input].join('+')
+}
+
+// e.g. `Ctrl+d` or `↓`
+function formatKey(spec) {
+  return spec
+    .split(/\+(?!$)/)
+    .map((part, idx, parts) =>
+      idx < parts.length - 1 ? part[0].toUpperCase() + part.slice(1) : (names[part]?.label ?? part)
+    )
+    .join('+')
+}
+
+// where a binding applies, as the keys of the keymap start with it
+function scopeOf({ context = 'list', count = false }) {
+  return count ? `${context}+count` : context
+}
+
+// the key of an entry of the keymap, without its scope
+function keyName(entry) {
+  return entry.slice(entry.indexOf(' ') + 1)
+}
+
+// The bindings with the keys set in the config, which replace the action's default keys and are
+// taken from any other action they were bound to in the same context.
+export function createKeymap(config = {}) {
+  // actions by scope and key, e.g. `list j`
+  const actions = new Map()
+  for (const binding of bindings) {
+    binding.keys.forEach((key) => actions.set(`${scopeOf(binding)} ${key}`, binding.action))
+  }
+  for (const [action, keys] of Object.entries(config)) {
+    const binding = bindings.find((binding) => binding.action === action)
+    if (!binding) {
+      throw new Error(`Unknown action in keys: ${action}`)
+    }
+    for (const [key, bound] of actions) {
+      if (bound === action) {
+        actions.delete(key)
+      }
+    }
+    ;[keys ?? []]
+      .flat()
+      .forEach((key) => actions.set(`${scopeOf(binding)} ${normalizeKey(key)}`, action))
+  }
+
+  return {
+    // The action of a key pressed in `context`, if any. `counted` is set when a count was typed.
+    action(input, key, { context = 'list', counted = false } = {}) {
+      const pressed = keyOf(input, key)
+      return (
+        (counted && actions.get(`${scopeOf({ context, count: true })} ${pressed}`)) ||
+        actions.get(`${scopeOf({ context })} ${pressed}`)
+      )
+    },
+    // the bound actions and their keys, for the help popup
+    help() {
+      return bindings.flatMap(({ action, desc }) => {
+        const keys = [...actions]
+          .filter(([, bound]) => bound === action)
+          .map(([key]) => keyName(key))
+        return keys.length ? [{ key: keys.map(formatKey).join(' / '), desc }] : []
+      })
+    },
+    // the first key bound to an action as help shows it, for the hints of the panels
+    key(action) {
+      const found = [...actions].find(([, bound]) => bound === action)
+      return found && formatKey(keyName(found[0]))
+    },
+  }
+}
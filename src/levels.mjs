@@ -0,0 +1,120 @@
+import fp from 'lodash/fp.js'
+import { getValue } from './fields.mjs'
+
+// Levels are normalized to the pino scale (10=TRACE ... 60=FATAL, 100=INVALID)
+
+// syslog severities (0=emerg ... 7=debug)
+export const syslogLevels = [60, 60, 60, 50, 40, 30, 30, 20]
+
+// abbreviations used by e.g. log15 and zap, always recognized
+const common = {
+  fields: ['level', 'lvl'],
+  values: { trc: 10, dbg: 20, dbug: 20, inf: 30, wrn: 40, eror: 50, err: 50, crit: 60, ftl: 60 },
+}
+
+export const presets = {
+  pino: {
+    fields: ['level'],
+    values: { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60 },
+  },
+  winston: {
+    fields: ['level'],
+    values: { silly: 10, debug: 20, verbose: 20, http: 30, info: 30, warn: 40, error: 50 },
+  },
+  log4j: {
+    fields: ['level'],
+    values: { all: 10, trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60 },
+  },
+  gcp: {
+    fields: ['severity'],
+    values: {
+      default: 30,
+      debug: 20,
+      info: 30,
+      notice: 30,
+      warning: 40,
+      error: 50,
+      critical: 60,
+      alert: 60,
+      emergency: 60,
+    },
+  },
+  ecs: {
+    fields: ['log.level'],
+    values: {
+      trace: 10,
+      debug: 20,
+      info: 30,
+      notice: 30,
+      warn: 40,
+      warning: 40,
+      error: 50,
+      critical: 60,
+      alert: 60,
+      emergency: 60,
+      fatal: 60,
+    },
+  },
+  syslog: {
+    fields: ['severity', 'priority'],
+    values: {
+      debug: 20,
+      info: 30,
+      notice: 30,
+      warning: 40,
+      err: 50,
+      crit: 60,
+      alert: 60,
+      emerg: 60,
+    },
+    // numeric syslog severities would otherwise be taken as pino levels
+    numbers: syslogLevels,
+  },
+}
+
+export const defaultPresets = ['pino', 'winston', 'log4j', 'gcp', 'ecs']
+
+// parses `name=level,...` mappings, with level being a number or a level name (e.g. `eror=error`)
+export function parseLevelMap(map) {
+  return Object.fromEntries(
+    (map ?? '')
+      .split(',')
+      .filter(Boolean)
+      .map((entry) => {
+        const [name, level] = entry.split('=').map((x) => x.trim())
+        const value = Number(level) || presets.pino.values[level?.toLowerCase()]
+        if (!name || !value) {
+          throw new Error(`Invalid level mapping: ${entry}`)
+        }
+        return [name.toLowerCase(), value]
+      })
+  )
+}
+
+export function createLevelNormalizer({ presets: names = defaultPresets, fields = [], values = {} } = {}) {
+  const selected = names.map((name) => {
+    if (!presets[name]) {
+      throw new Error(`Unknown level preset: ${name}`)
+    }
+    return presets[name]
+  })
+  const all = [...selected, common, { fields, values }]
+  const fieldNames = fp.uniq(all.flatMap((preset) => preset.fields))
+  const levels = Object.assign({}, ...all.map((preset) => preset.values))
+  const numbers = selected.find((preset) => preset.numbers)?.numbers ?? []
+
+  return (msg) => {
+    for (const field of fieldNames) {
+      const level = getValue(field, msg)
+      if (typeof level === 'number') {
+        return numbers[level] ?? level
+      } else if (typeof level === 'string') {
+        const value = levels[level.toLowerCase()] ?? (/^\d+$/.test(level) ? Number(level) : null)
+        if (value != null) {
+          return numbers[value] ?? value
+        }
+      }
+    }
+    return undefined
+  }
+}
@@ -0,0 +1,102 @@
+import fs from 'node:fs'
+
+// Where each line of a file starts, for --indexed, followed by where the last one ends. The offsets
+// are in shared memory, so the filter worker can use them without a copy.
+
+const chunkSize = 16 * 2 ** 20
+
+export function indexPath(file) {
+  return `${file}.uncloggr-index`
+}
+
+function shared(length) {
+  return new Float64Array(new SharedArrayBuffer(length * Float64Array.BYTES_PER_ELEMENT))
+}
+
+function buildIndex(file, size) {
+  let offsets = shared(1024)
+  let count = 1 // offsets[0] is 0
+  const buffer = Buffer.allocUnsafe(chunkSize)
+  const fd = fs.openSync(file, 'r')
+  try {
+    for (let position = 0; position < size;) {
+      const read = fs.readSync(fd, buffer, 0, Math.min(chunkSize, size - position), position)
+      if (!read) {
+        break
+      }
+      for (
+        let idx = buffer.indexOf(10);
+        idx !== -1 && idx < read;
+        idx = buffer.indexOf(10, idx + 1)
+      ) {
+        if (count === offsets.length) {
+          const grown = shared(offsets.length * 2)
+          grown.set(offsets)
+          offsets = grown
+        }
+        offsets[count++] = position + idx + 1
+      }
+      position += read
+    }
+  } finally {
+    fs.closeSync(fd)
+  }
+  // the last line may not end with a newline
+  if (offsets[count - 1] < size) {
+    offsets[count++] = size
+  }
+  return offsets.subarray(0, count)
+}
+
+// Reads the index of `file`, or builds it. With `save`, a new index is written next to the file,
+// and is used as long as the file's size and modification time don't change.
+export function loadLineIndex(file, { save = false } = {}) {
+  const { size, mtimeMs } = fs.statSync(file)
+  const saved = indexPath(file)
+  if (fs.existsSync(saved)) {
+    const data = fs.readFileSync(saved)
+    const values = new Float64Array(
+      data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+    )
+    if (values[0] === size && values[1] === mtimeMs) {
+      const offsets = shared(values.length - 2)
+      offsets.set(values.subarray(2))
+      return offsets
+    }
+  }
+  const offsets = buildIndex(file, size)
+  if (save) {
+    fs.writeFileSync(
+      saved,
+      Buffer.concat([
+        Buffer.from(new Float64Array([size, mtimeMs]).buffer),
+        Buffer.from(offsets.buffer, 0, offsets.byteLength),
+      ])
+    )
+  }
+  return offsets
+}
+
+// Reads ranges of a file a block at a time, so reading them in order reads each block once
+export function createBlockReader(fd, blockSize = 2 ** 20) {
+  let block = null
+  return {
+    read(from, to) {
+      if (!block || from < block.from || to > block.from + block.buffer.length) {
+        const buffer = Buffer.allocUnsafe(Math.max(blockSize, to - from))
+        const read = fs.readSync(fd, buffer, 0, buffer.length, from)
+        block = { from, buffer: buffer.subarray(0, read) }
+      }
+      return block.buffer.toString('utf8', from - block.from, to - block.from)
+    },
+    // after the file changed
+    reset() {
+      block = null
+    },
+  }
+}
+
+// line `idx` of an indexed file, counting from 0, without the line break
+export function readLine(reader, offsets, idx) {
+  return reader.read(offsets[idx], offsets[idx + 1]).replace(/\r?\n$/, '')
+}
@@ -0,0 +1,159 @@
+// Merges lists that are each sorted by `compare` into one sorted list, taking the next item from a
+// heap of the lists' heads.
+export function mergeSorted(lists, compare) {
+  const heads = lists.filter((list) => list.length).map((list) => ({ list, pos: 0 }))
+  const before = (a, b) => compare(a.list[a.pos], b.list[b.pos]) < 0
+
+  function siftDown(idx) {
+    for (;;) {
+      let min = idx
+      for (const child of [2 * idx + 1, 2 * idx + 2]) {
+        if (child < heads.length && before(heads[child], heads[min])) {
+          min = child
+        }
+      }
+      if (min === idx) {
+        return
+      }
+      ;[heads[idx], heads[min]] = [heads[min], heads[idx]]
+      idx = min
+    }
+  }
+
+  for (let idx = (heads.length >> 1) - 1; idx >= 0; --idx) {
+    siftDown(idx)
+  }
+  const merged = []
+  while (heads.length) {
+    const head = heads[0]
+    merged.push(head.list[head.pos++])
+    if (head.pos === head.list.length) {
+      heads[0] = heads.at(-1)
+      heads.pop()
+    }
+    siftDown(0)
+  }
+  return merged
+}
+
+// Merges the messages read from several inputs by `_sort` as they're read, for sorting. Each input
+// is read in about the order of `_sort`, so the next message is the lowest of the inputs' next ones,
+// once every input without one has ended or read past it. An input that's quiet for a while would
+// hold everything up, so messages are also let through once they're `window` milliseconds older
+// than the newest one, or nothing was read for `window`. Anything read later that sorts before the
+// messages let through is late, and has to be inserted.
+export function createMerger(messages, count, window) {
+  // the positions of each input's messages, and the next one to merge
+  const inputs = Array.from({ length: count }, () => ({
+    positions: [],
+    next: 0,
+    ended: false,
+    last: '',
+  }))
+  let newest = 0
+  let readAt = Date.now()
+  // the start of the messages when positions were last dropped
+  let start = messages.start
+
+  const key = (position) => messages.get(position)._sort
+  const time = (sort) => Number(sort.slice(0, 13))
+
+  // drops the positions before `from`, as they were evicted
+  function drop(from) {
+    start = from
+    for (const input of inputs) {
+      const cut = firstFrom(input.positions, from)
+      input.positions = input.positions.slice(cut)
+      input.next = Math.max(input.next - cut, 0)
+    }
+  }
+
+  // the input with the lowest next message, and its `_sort`
+  function lowest() {
+    // messages evicted since
+    if (messages.start > start) {
+      drop(messages.start)
+    }
+    let min = null
+    for (const input of inputs) {
+      if (input.next < input.positions.length) {
+        const sort = key(input.positions[input.next])
+        if (!min || sort < min.sort) {
+          min = { input, sort }
+        }
+      }
+    }
+    return min
+  }
+
+  function isReady({ sort }) {
+    return (
+      inputs.every(
+        (input) => input.next < input.positions.length || input.ended || input.last >= sort
+      ) ||
+      time(sort) <= newest - window ||
+      Date.now() - readAt >= window
+    )
+  }
+
+  // the first of `positions` at or after `position`
+  function firstFrom(positions, position) {
+    let lo = 0
+    let hi = positions.length
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1
+      if (positions[mid] < position) {
+        lo = mid + 1
+      } else {
+        hi = mid
+      }
+    }
+    return lo
+  }
+
+  return {
+    add(position, input) {
+      const sort = key(position)
+      inputs[input].positions.push(position)
+      inputs[input].last = sort
+      newest = Math.max(newest, time(sort))
+      readAt = Date.now()
+    },
+    end(input) {
+      inputs[input].ended = true
+    },
+    // the position to check next, or -1 if none can be let through yet
+    next() {
+      const min = lowest()
+      return min && isReady(min) ? min.input.positions[min.input.next++] : -1
+    },
+    // whether there are messages not let through yet, but none can be now
+    get waiting() {
+      const min = lowest()
+      return Boolean(min) && !isReady(min)
+    },
+    // the number of messages let through
+    get merged() {
+      return inputs.reduce((sum, input) => sum + input.next, 0)
+    },
+    // merges again from `position`
+    rewind(position) {
+      for (const input of inputs) {
+        input.next = firstFrom(input.positions, position)
+      }
+    },
+    drop,
+    save() {
+      // the next position of each input, or the one after the last, as positions only grow
+      return inputs.map(
+        (input) => input.positions[input.next] ?? (input.positions.at(-1) ?? -1) + 1
+      )
+    },
+    // back to a saved state, keeping the positions read since
+    restore(saved) {
+      inputs.forEach((input, idx) => {
+        input.next = firstFrom(input.positions, saved[idx])
+      })
+    },
+  }
+}
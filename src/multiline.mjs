@@ -0,0 +1,96 @@
+import { Transform } from 'node:stream'
+
+// indented lines, stack frames and chained exceptions belong to the previous line
+const continuation = /^(\s|at |Caused by:|\.\.\. \d+ more)/
+
+// give up on reassembling json after this many lines, it was probably not json to begin with
+const maxJsonLines = 1000
+
+// wait this long for more continuation lines before emitting the last entry when following
+const idleTimeout = 100
+
+// the nesting depth after `line`, and whether it ends inside a string, from the state before it
+function jsonState(line, { depth, inString } = { depth: 0, inString: false }) {
+  for (let i = 0; i < line.length; ++i) {
+    const c = line[i]
+    if (inString) {
+      if (c === '\\') {
+        ++i
+      } else if (c === '"') {
+        inString = false
+      }
+    } else if (c === '"') {
+      inString = true
+    } else if (c === '{' || c === '[') {
+      ++depth
+    } else if (c === '}' || c === ']') {
+      --depth
+    }
+  }
+  return { depth, inString }
+}
+
+// a line starting with { or [ starts a new entry, unless it's inside a string, or it's complete
+// (e.g. after a line that was cut off)
+function startsJson(line, state) {
+  return (line[0] === '{' || line[0] === '[') && (!state.inString || jsonState(line).depth === 0)
+}
+
+// Groups lines into `{ text, line }` entries. `multiline` is a regex matching the first line of an
+// entry, 'off' to emit every line as is, or unset to use the heuristics above.
+export function createGrouper(multiline) {
+  const start = multiline && multiline !== 'off' ? new RegExp(multiline) : null
+  let pending = null
+  let count = 0
+  let timer
+
+  function emit(stream) {
+    if (pending) {
+      stream.push({ text: pending.lines.join('\n'), line: pending.line })
+      pending = null
+    }
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    writableObjectMode: true,
+    transform(line, _encoding, callback) {
+      ++count
+      clearTimeout(timer)
+      if (multiline === 'off') {
+        this.push({ text: line, line: count })
+        callback()
+        return
+      }
+
+      const inJson =
+        pending?.json.depth > 0 &&
+        pending.lines.length < maxJsonLines &&
+        !startsJson(line, pending.json)
+      if (pending && (inJson || (start ? !start.test(line) : continuation.test(line)))) {
+        pending.lines.push(line)
+        if (inJson) {
+          pending.json = jsonState(line, pending.json)
+        }
+      } else {
+        emit(this)
+        pending = {
+          lines: [line],
+          line: count,
+          json: jsonState(line[0] === '{' || line[0] === '[' ? line : ''),
+        }
+      }
+      timer = setTimeout(() => emit(this), idleTimeout)
+      callback()
+    },
+    flush(callback) {
+      clearTimeout(timer)
+      emit(this)
+      callback()
+    },
+    destroy(err, callback) {
+      clearTimeout(timer)
+      callback(err)
+    },
+  })
+}
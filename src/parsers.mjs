@@ -0,0 +1,210 @@
+import { syslogLevels } from './levels.mjs'
+
+// Each parser takes a line and returns the parsed message, or null when the line isn't in its format.
+
+function toValue(value) {
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value
+}
+
+function json(row) {
+  if (row[0] !== '{') {
+    return null
+  }
+  try {
+    return JSON.parse(row)
+  } catch {
+    return null
+  }
+}
+
+function logfmt(row) {
+  if (!/^\s*[\w.@-]+=/.test(row)) {
+    return null
+  }
+  const msg = {}
+  const re = /\s*([^\s=]+)(?:=(?:"((?:[^"\\]|\\.)*)"|(\S*)))?/y
+  let end = 0
+  let match
+  while ((match = re.exec(row))) {
+    end = re.lastIndex
+    const [, key, quoted, value] = match
+    msg[key] =
+      quoted !== undefined
+        ? quoted.replace(/\\(.)/g, (_, c) => ({ n: '\n', t: '\t' })[c] ?? c)
+        : value === undefined
+          ? true
+          : toValue(value)
+  }
+  if (end < row.trimEnd().length) {
+    return null
+  }
+  return msg
+}
+
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+function accessTime(time) {
+  // 10/Oct/2000:13:55:36 -0700
+  const [, day, month, year, hms, tzh, tzm] =
+    time.match(/^(\d+)\/(\w+)\/(\d+):(\S+) ([+-]\d\d)(\d\d)$/) ?? []
+  const date = new Date(
+    `${year}-${String(months.indexOf(month) + 1).padStart(2, '0')}-${day?.padStart(2, '0')}T${hms}${tzh}:${tzm}`
+  )
+  return isNaN(date) ? time : date.toISOString()
+}
+
+function access(row) {
+  const match = row.match(
+    /^(\S+) \S+ (\S+) \[([^\]]+)\] "([^"]*)" (\d{3}) (\d+|-)(?: "([^"]*)" "([^"]*)")?/
+  )
+  if (!match) {
+    return null
+  }
+  const [, remoteAddress, user, time, request, status, bytes, referer, userAgent] = match
+  const [method, url, protocol] = request.split(' ')
+  const statusCode = Number(status)
+  return {
+    time: accessTime(time),
+    level: statusCode >= 500 ? 50 : statusCode >= 400 ? 40 : 30,
+    msg: request,
+    req: {
+      method,
+      url,
+      protocol,
+      remoteAddress,
+      remoteUser: user === '-' ? undefined : user,
+      headers: { referer, 'user-agent': userAgent },
+    },
+    res: {
+      statusCode,
+      bytes: bytes === '-' ? 0 : Number(bytes),
+    },
+  }
+}
+
+function syslogNil(value) {
+  return value === '-' ? undefined : value
+}
+
+function syslog(row) {
+  // RFC 5424: <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA MSG
+  let match = row.match(/^<(\d{1,3})>1 (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+) ?(.*)$/)
+  if (match) {
+    const [, pri, time, hostname, name, pid, msgid, data, msg] = match
+    return {
+      time: syslogNil(time),
+      level: syslogLevels[pri % 8],
+      hostname: syslogNil(hostname),
+      name: syslogNil(name),
+      pid: toValue(syslogNil(pid)),
+      msgid: syslogNil(msgid),
+      data: syslogNil(data),
+      msg: msg.replace(/^\uFEFF/, ''),
+    }
+  }
+
+  // RFC 3164: <PRI>Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG
+  match = row.match(/^(?:<(\d{1,3})>)?([A-Z][a-z]{2} [ \d]\d \d\d:\d\d:\d\d) (\S+) ([^\s:[]+)(?:\[(\d+)\])?: ?(.*)$/)
+  if (match) {
+    const [, pri, stamp, hostname, name, pid, msg] = match
+    // the timestamp has no year, assume the last twelve months
+    const now = new Date()
+    const time = new Date(`${stamp} ${now.getFullYear()}`)
+    if (time > now) {
+      time.setFullYear(now.getFullYear() - 1)
+    }
+    return {
+      time: isNaN(time) ? stamp : time.toISOString(),
+      level: pri ? syslogLevels[pri % 8] : 30,
+      hostname,
+      name,
+      pid: pid && Number(pid),
+      msg,
+    }
+  }
+  return null
+}
+
+function detectLogfmt(row) {
+  // bare keys are valid logfmt, so plain text starting with a key=value pair would match as well
+  const msg = logfmt(row)
+  return msg && Object.values(msg).filter((value) => value !== true).length >= 2 ? msg : null
+}
+
+function journalString(value) {
+  // fields that are not valid utf-8 are serialized as byte arrays
+  return Array.isArray(value) ? Buffer.from(value).toString('utf8') : value
+}
+
+function journal(row) {
+  const entry = json(row)
+  if (!entry) {
+    return null
+  }
+  const msg = journalString(entry.MESSAGE)
+  const base = {
+    time: Math.floor(Number(entry.__REALTIME_TIMESTAMP) / 1000),
+    level: syslogLevels[entry.PRIORITY] ?? 30,
+    name: entry._SYSTEMD_UNIT ?? entry.SYSLOG_IDENTIFIER,
+    pid: entry._PID && Number(entry._PID),
+    hostname: entry._HOSTNAME,
+  }
+  // services logging structured lines to stdout keep their own fields
+  const fields = typeof msg === 'string' && (json(msg) ?? detectLogfmt(msg))
+  return fields ? { ...base, ...fields } : { ...base, msg }
+}
+
+function regex(pattern) {
+  const re = new RegExp(pattern)
+  return (row) => {
+    const groups = row.match(re)?.groups
+    if (!groups) {
+      return null
+    }
+    return { ...groups }
+  }
+}
+
+export const parsers = { json, logfmt, access, syslog, journal }
+
+// order matters, logfmt is the least strict
+const detectable = [json, syslog, access, detectLogfmt]
+
+export function createParser(format = 'auto') {
+  let parse
+  if (format.startsWith('regex:')) {
+    parse = regex(format.slice('regex:'.length))
+  } else if (format === 'auto') {
+    // try the format that matched the previous line first
+    let last = detectable[0]
+    parse = (row) => {
+      let msg = last(row)
+      if (!msg) {
+        for (const parser of detectable) {
+          if (parser !== last && (msg = parser(row))) {
+            last = parser
+            break
+          }
+        }
+      }
+      return msg
+    }
+  } else if (parsers[format]) {
+    parse = parsers[format]
+  } else {
+    throw new Error(`Unknown format: ${format}`)
+  }
+
+  return (row) => {
+    const msg = row && parse(row)
+    const newline = row.indexOf('\n')
+    if (msg || newline === -1) {
+      return msg || { msg: row, level: 100 }
+    }
+    // a structured line followed by e.g. a plain text stack trace
+    const first = parse(row.slice(0, newline))
+    return first
+      ? { ...first, stack: first.stack ?? row.slice(newline + 1) }
+      : { msg: row, level: 100 }
+  }
+}
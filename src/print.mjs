@@ -0,0 +1,43 @@
+import { formatColumn, levelColor } from './format.mjs'
+
+// Prints entries as rows with the columns of the list, for --print
+
+const colors = { red: 31, green: 32, yellow: 33, blue: 34 }
+// columns other than the last grow to the widest value seen, up to this
+const maxWidth = 40
+
+function paint(text, color) {
+  return colors[color] ? `\x1b[${colors[color]}m${text}\x1b[39m` : text
+}
+
+function dim(text) {
+  return `\x1b[2m${text}\x1b[22m`
+}
+
+// Returns a function formatting an entry as a line, colorized like the list if `color` is set.
+// The columns start as wide as needed for `messages`, when they're all known up front.
+export function createRowFormatter(fields, getField, color, messages = []) {
+  const widths = fields.map((field) => (field === 'level' ? 'ERROR'.length : 0))
+  const fit = (text, col) => {
+    widths[col] = Math.max(widths[col], Math.min(text.length, maxWidth))
+    return text.padEnd(widths[col])
+  }
+  for (const msg of messages) {
+    fields.forEach((field, col) => fit(formatColumn(field, msg, getField), col))
+  }
+  return (msg) =>
+    fields
+      .map((field, col) => {
+        let text = formatColumn(field, msg, getField)
+        if (col < fields.length - 1) {
+          text = fit(text, col)
+        }
+        if (color && field === 'level') {
+          text = paint(text, levelColor(msg._level))
+        } else if (color && field === 'time') {
+          text = dim(text)
+        }
+        return text
+      })
+      .join(' ') + '\n'
+}
@@ -0,0 +1,275 @@
+import fp from 'lodash/fp.js'
+import { toTime } from './fields.mjs'
+import { presets } from './levels.mjs'
+
+// A small query language for filters, e.g.
+//
+//   level>=warn and req.method in ("POST", "PUT") and msg ~ /timeout/i and not duration < 500
+//
+// Fields are dotted paths, resolved like columns are. `level` and `time` compare against the
+// normalized level and timestamp, so `level >= warn` and `time > "2025-01-01T12:00"` work for any
+// source. A field on its own is true when it is set and not false, null or empty.
+
+const keywords = {
+  and: 'and',
+  '&&': 'and',
+  or: 'or',
+  '||': 'or',
+  not: 'not',
+  '!': 'not',
+  in: 'in',
+}
+
+const literals = { true: true, false: false, null: null }
+
+function fail(message, pos = 0) {
+  throw new Error(`${message} at column ${pos + 1}`)
+}
+
+function unquote(string) {
+  return string.slice(1, -1).replace(/\\(.)/g, (_, c) => ({ n: '\n', t: '\t' })[c] ?? c)
+}
+
+function tokenize(source) {
+  const tokens = []
+  const re =
+    /(\(|\)|,)|(&&|\|\||==|!=|<=|>=|!~|=|<|>|~|!)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|\/((?:[^/\\]|\\.)+)\/([a-z]*)|(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)(?![\w.])|([\w@$][\w@$.\-[\]]*)/iy
+  const skip = (pos) => {
+    while (/\s/.test(source[pos] ?? '')) {
+      ++pos
+    }
+    return pos
+  }
+  for (let pos = skip(0); pos < source.length; pos = skip(pos)) {
+    re.lastIndex = pos
+    const match = re.exec(source)
+    if (!match) {
+      fail(`Unexpected "${source[pos]}"`, pos)
+    }
+    const [text, punct, op, string, regex, flags, number, word] = match
+    if (punct) {
+      tokens.push({ type: punct, pos })
+    } else if (op) {
+      tokens.push(keywords[op] ? { type: keywords[op], pos } : { type: 'op', op, pos })
+    } else if (string) {
+      tokens.push({ type: 'value', value: unquote(string), pos })
+    } else if (regex) {
+      try {
+        tokens.push({ type: 'value', value: new RegExp(regex, flags), pos })
+      } catch (err) {
+        fail(err.message, pos)
+      }
+    } else if (number) {
+      tokens.push({ type: 'value', value: Number(number), pos })
+    } else if (keywords[word.toLowerCase()]) {
+      tokens.push({ type: keywords[word.toLowerCase()], pos })
+    } else if (word in literals) {
+      tokens.push({ type: 'value', value: literals[word], pos })
+    } else {
+      tokens.push({ type: 'field', field: word, pos })
+    }
+    pos += text.length
+  }
+  tokens.push({ type: 'end', pos: source.length })
+  return tokens
+}
+
+function parse(source) {
+  const tokens = tokenize(source)
+  let i = 0
+  const peek = () => tokens[i]
+  const next = () => tokens[i++]
+
+  function expect(type, what = `"${type}"`) {
+    const token = next()
+    if (token.type !== type) {
+      const got = token.type === 'end' ? 'end of query' : `"${source.slice(token.pos).split(/\s/)[0]}"`
+      fail(`Expected ${what}, got ${got}`, token.pos)
+    }
+    return token
+  }
+
+  // bare words are strings on the right hand side, e.g. `req.method = POST`
+  function value() {
+    const token = next()
+    if (token.type === 'field') {
+      return { value: token.field, pos: token.pos }
+    }
+    --i
+    return expect('value', 'a value')
+  }
+
+  function or() {
+    let node = and()
+    while (peek().type === 'or') {
+      next()
+      node = { type: 'or', left: node, right: and() }
+    }
+    return node
+  }
+
+  function and() {
+    let node = not()
+    while (peek().type === 'and') {
+      next()
+      node = { type: 'and', left: node, right: not() }
+    }
+    return node
+  }
+
+  function not() {
+    if (peek().type === 'not') {
+      next()
+      return { type: 'not', node: not() }
+    }
+    return primary()
+  }
+
+  function primary() {
+    if (peek().type === '(') {
+      next()
+      const node = or()
+      expect(')')
+      return node
+    }
+    const { field } = expect('field', 'a field')
+    const token = peek()
+    if (token.type === 'op') {
+      next()
+      const operand = value()
+      if (operand.value instanceof RegExp && !token.op.includes('~')) {
+        fail(`Regular expressions can only be used with ~ and !~`, operand.pos)
+      }
+      return { type: 'compare', field, op: token.op, value: operand.value }
+    } else if (token.type === 'in' || (token.type === 'not' && tokens[i + 1].type === 'in')) {
+      const negate = next().type === 'not'
+      if (negate) {
+        next()
+      }
+      expect('(')
+      const values = [value().value]
+      while (peek().type === ',') {
+        next()
+        values.push(value().value)
+      }
+      expect(')')
+      const node = { type: 'in', field, values }
+      return negate ? { type: 'not', node } : node
+    }
+    return { type: 'truthy', field }
+  }
+
+  const node = or()
+  expect('end', 'end of query')
+  return node
+}
+
+const levelNames = { ...presets.pino.values, warning: 40 }
+
+function normalize(field, value) {
+  if (field === 'level' && typeof value === 'string') {
+    return levelNames[value.toLowerCase()] ?? value
+  } else if (field === 'time' && typeof value === 'string') {
+    return toTime(value)
+  }
+  return value
+}
+
+function isNumeric(value) {
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(value)
+}
+
+// compares numbers as numbers, also when one of them is a numeric string
+function coerce(a, b) {
+  if (typeof a === 'number' && isNumeric(b)) {
+    return [a, Number(b)]
+  } else if (typeof b === 'number' && isNumeric(a)) {
+    return [Number(a), b]
+  }
+  return [a, b]
+}
+
+function equals(a, b) {
+  if (b == null) {
+    return a == null
+  }
+  const [x, y] = coerce(a, b)
+  return fp.isEqual(x, y)
+}
+
+function compare(op, a, b) {
+  switch (op) {
+    case '=':
+    case '==':
+      return equals(a, b)
+    case '!=':
+      return !equals(a, b)
+    case '~':
+    case '!~': {
+      if (a == null) {
+        return op === '!~'
+      }
+      const text = typeof a === 'string' ? a : JSON.stringify(a)
+      const found = b instanceof RegExp ? b.test(text) : text.includes(String(b))
+      return op === '~' ? found : !found
+    }
+  }
+  if (a == null || b == null) {
+    return false
+  }
+  const [x, y] = coerce(a, b)
+  if (typeof x !== typeof y) {
+    return false
+  }
+  switch (op) {
+    case '<':
+      return x < y
+    case '<=':
+      return x <= y
+    case '>':
+      return x > y
+    case '>=':
+      return x >= y
+  }
+}
+
+// throws with the column of the error if the query is invalid
+export function compileQuery(source, getField) {
+  const get = (field, msg) =>
+    field === 'level' ? msg._level : field === 'time' ? msg._time : getField(field, msg)
+
+  function compile(node) {
+    switch (node.type) {
+      case 'or': {
+        const [left, right] = [compile(node.left), compile(node.right)]
+        return (msg) => left(msg) || right(msg)
+      }
+      case 'and': {
+        const [left, right] = [compile(node.left), compile(node.right)]
+        return (msg) => left(msg) && right(msg)
+      }
+      case 'not': {
+        const inner = compile(node.node)
+        return (msg) => !inner(msg)
+      }
+      case 'truthy':
+        return (msg) => {
+          const value = get(node.field, msg)
+          return value != null && value !== false && value !== ''
+        }
+      case 'in': {
+        const values = node.values.map((value) => normalize(node.field, value))
+        return (msg) => {
+          const value = get(node.field, msg)
+          return values.some((x) => equals(value, x))
+        }
+      }
+      case 'compare': {
+        const value = normalize(node.field, node.value)
+        return (msg) => compare(node.op, get(node.field, msg), value)
+      }
+    }
+  }
+
+  return compile(parse(source))
+}
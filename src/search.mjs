@@ -0,0 +1,67 @@
+import fp from 'lodash/fp.js'
+import { internalFields } from './fields.mjs'
+
+// Searches and text filters match field values rather than the serialized message, so a search for
+// `error` doesn't match the key of every `"error":null`. A query is one of
+//
+//   text          plain text, case-insensitive unless it contains upper case letters
+//   /regex/flags  a regular expression
+//   field:query   either of the above, but only in one field (a dotted path)
+
+function values(value, out = []) {
+  if (typeof value === 'string') {
+    out.push(value)
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    out.push(String(value))
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (!internalFields.includes(key)) {
+        values(child, out)
+      }
+    }
+  }
+  return out
+}
+
+function toRegExp(text) {
+  const match = text.match(/^\/(.+)\/([a-z]*)$/)
+  if (match) {
+    return new RegExp(match[1], match[2].replace('g', ''))
+  }
+  // smart-case
+  return new RegExp(fp.escapeRegExp(text), text === text.toLowerCase() ? 'i' : '')
+}
+
+// throws if the query is an invalid regular expression
+export function createSearch(query, getField) {
+  // not followed by a space, which is more likely text (e.g. "TypeError: ..."), or a url
+  const scoped = query.match(/^([a-z_@$][\w.@$-]*):(?!\s|\/\/)(.+)$/i)
+  const [field, text] = scoped ? scoped.slice(1) : [null, query]
+  const re = toRegExp(text)
+  const test = (msg) => values(field ? getField(field, msg) : msg).some((value) => re.test(value))
+  return Object.assign(test, {
+    field,
+    // global, for finding all matches when highlighting
+    pattern: new RegExp(re.source, `${re.flags}g`),
+  })
+}
+
+// splits text into `[part, matched]` pairs
+export function highlight(text, search) {
+  const parts = []
+  let last = 0
+  for (const match of text.matchAll(search.pattern)) {
+    if (!match[0]) {
+      continue
+    }
+    if (match.index > last) {
+      parts.push([text.slice(last, match.index), false])
+    }
+    parts.push([match[0], true])
+    last = match.index + match[0].length
+  }
+  if (last < text.length) {
+    parts.push([text.slice(last), false])
+  }
+  return parts
+}
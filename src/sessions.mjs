@@ -0,0 +1,35 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import YAML from 'yaml'
+import { configPath } from './config.mjs'
+
+// names are stored with the config, anything that looks like a path is used as is
+export function sessionPath(name) {
+  return name.includes('/') || /\.ya?ml$/.test(name)
+    ? name
+    : path.join(path.dirname(configPath()), 'sessions', `${name}.yaml`)
+}
+
+// messages are identified by their source and line, which is stable as long as the sources are
+export function messageKey(msg) {
+  return msg ? `${msg._from}:${msg._line}` : null
+}
+
+export function saveSession(name, session) {
+  const file = sessionPath(name)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, YAML.stringify(session))
+  return file
+}
+
+export function loadSession(name) {
+  const file = sessionPath(name)
+  if (!fs.existsSync(file)) {
+    throw new Error(`Session not found: ${file}`)
+  }
+  try {
+    return YAML.parse(fs.readFileSync(file, 'utf8')) ?? {}
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`)
+  }
+}
@@ -1,6 +1,11 @@
 import fs from 'node:fs'
+import fsp from 'node:fs/promises'
 import path from 'node:path'
 import { execFileSync, spawn } from 'node:child_process'
+import { PassThrough, Readable, addAbortSignal } from 'node:stream'
+import tp from 'node:timers/promises'
+import zlib from 'node:zlib'
+import { parseTime } from './timerange.mjs'
 
 export function getPM2(pattern) {
   if (pattern.includes('/')) {
@@ -142,21 +147,452 @@ export function getDockerServices(pattern) {
     }))
 }
 
-export function getFile(path) {
-  if (!path || !fs.existsSync(path) || !fs.statSync(path).isFile()) {
+function kubectl(args) {
+  return JSON.parse(
+    execFileSync('kubectl', [...args, '-o', 'json'], {
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+    })
+  )
+}
+
+function kubectlSince(since) {
+  // kubectl only takes go durations in --since, absolute times go in --since-time
+  if (/^(\d+(\.\d+)?(ns|us|µs|ms|s|m|h))+$/.test(since)) {
+    return ['--since', since]
+  }
+  const date = new Date(/^\d+$/.test(since) ? Number(since) * 1000 : since)
+  return ['--since-time', isNaN(date) ? since : date.toISOString()]
+}
+
+export function getKubernetes(pattern, opts) {
+  const deployment = pattern.match(/^(?:deploy|deployment)\/(.+)$/)?.[1]
+  let selector = pattern.includes('=') ? pattern : null
+  if (pattern.includes('/') && !deployment && !selector) {
     return []
   }
 
-  return [
-    {
-      name: path,
-      read() {
-        const stream = fs.createReadStream(path)
-        stream.label = path
-        return [stream]
+  const namespaceArgs = opts.all ? ['--all-namespaces'] : []
+  if (deployment) {
+    let spec
+    try {
+      spec = kubectl(['get', 'deployment', deployment]).spec
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return []
+      }
+      throw err
+    }
+    selector = Object.entries(spec.selector.matchLabels ?? {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(',')
+  }
+
+  let pods
+  try {
+    pods = kubectl(['get', 'pods', ...namespaceArgs, selector && ['-l', selector]].filter(Boolean).flat())
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+
+  return pods.items
+    .filter(({ metadata }) => selector || !pattern || metadata.name.includes(pattern))
+    .map(({ metadata: { name, namespace }, spec, status }) => ({
+      name: `${name.padEnd(40, ' ')} \u001b[2m${namespace} (${status.phase})\u001b[22m`,
+      short: name,
+      value: `${namespace}/${name}`,
+      read(opts) {
+        // kubectl logs only streams a single container, so spawn one per container
+        return spec.containers.flatMap(({ name: container }) => {
+          const proc = spawn(
+            'kubectl',
+            [
+              'logs',
+              '--namespace',
+              namespace,
+              '--container',
+              container,
+              opts.follow && '--follow',
+              opts.since && kubectlSince(opts.since),
+              opts.tail && ['--tail', opts.tail],
+              name,
+            ]
+              .filter(Boolean)
+              .flat(),
+            {
+              stdio: ['ignore', 'pipe', 'pipe'],
+            }
+          )
+          // e.g. why there are no logs, like a wrong context or a missing container
+          return [
+            Object.assign(proc.stdout, { label: `${name}:${container}` }),
+            Object.assign(proc.stderr, { label: `${name}:${container}:stderr` }),
+          ]
+        })
       },
-    },
-  ]
+    }))
+}
+
+function journalSince(since) {
+  if (/^\d+(\.\d+)?[a-z]+$/i.test(since)) {
+    return `-${since}`
+  }
+  const date = new Date(/^\d+$/.test(since) ? Number(since) * 1000 : since)
+  return isNaN(date) ? since : `@${Math.floor(date.getTime() / 1000)}`
+}
+
+export function getJournal(pattern, opts) {
+  if (pattern.includes('/')) {
+    return []
+  }
+
+  let units
+  try {
+    units = execFileSync(
+      'systemctl',
+      ['list-units', '--type=service', '--plain', '--no-legend', '--no-pager', opts.all && '--all'].filter(
+        Boolean
+      ),
+      { encoding: 'utf8' }
+    )
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+
+  return units
+    .trim()
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => line.trim().match(/^(\S+)\s+\S+\s+(\S+)\s+(\S+)\s*(.*)$/))
+    .filter(Boolean)
+    .filter(([, unit]) => !pattern || unit.includes(pattern))
+    .map(([, unit, active, sub, description]) => ({
+      name: `${unit.padEnd(40, ' ')} \u001b[2m${description} (${active}/${sub})\u001b[22m`,
+      short: unit,
+      value: unit,
+      read(opts) {
+        const proc = spawn(
+          'journalctl',
+          [
+            '--output',
+            'json',
+            '--unit',
+            unit,
+            opts.follow && '--follow',
+            opts.since && ['--since', journalSince(opts.since)],
+            opts.tail ? ['--lines', opts.tail] : opts.follow && '--no-tail',
+          ]
+            .filter(Boolean)
+            .flat(),
+          {
+            stdio: ['ignore', 'pipe', 'pipe'],
+          }
+        )
+        return [
+          Object.assign(proc.stdout, { label: unit, format: 'journal' }),
+          Object.assign(proc.stderr, { label: `${unit}:stderr` }),
+        ]
+      },
+    }))
+}
+
+function globToRegExp(segment) {
+  const source = segment
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\[!/g, '[^')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`)
+}
+
+function expandGlob(pattern) {
+  let paths = [pattern.startsWith('/') ? '/' : '']
+  for (const segment of pattern.split('/').filter(Boolean)) {
+    if (!/[*?[]/.test(segment)) {
+      paths = paths.map((dir) => path.join(dir, segment))
+      continue
+    }
+    const re = globToRegExp(segment)
+    paths = paths.flatMap((dir) => {
+      try {
+        return fs
+          .readdirSync(dir || '.')
+          .filter((name) => re.test(name) && (name[0] !== '.' || segment[0] === '.'))
+          .sort()
+          .map((name) => path.join(dir, name))
+      } catch {
+        return []
+      }
+    })
+  }
+  return paths
+}
+
+// the time of a JSON line, unless `opts.lineTime` parses lines in another way
+function lineTime(line) {
+  try {
+    return new Date(JSON.parse(line).time).getTime()
+  } catch {
+    return NaN
+  }
+}
+
+async function tailPosition(handle, lines) {
+  const { size } = await handle.stat()
+  if (lines <= 0) {
+    return size
+  }
+  const buffer = Buffer.alloc(64 * 1024)
+  let position = size
+  let count = 0
+  while (position > 0) {
+    const length = Math.min(buffer.length, position)
+    position -= length
+    await handle.read(buffer, 0, length, position)
+    for (let i = length - 1; i >= 0; --i) {
+      // a trailing newline terminates the last line, it doesn't start a new one
+      if (buffer[i] === 0x0a && position + i !== size - 1 && ++count > lines - 1) {
+        return position + i + 1
+      }
+    }
+  }
+  return 0
+}
+
+async function* readFile(file, opts, signal) {
+  const since = opts.since ? parseTime(opts.since) : NaN
+  const timeOf = opts.lineTime ?? lineTime
+  // Lines without a time, like stack traces, go with the line before them. Until a line with a
+  // time comes, there's nothing to tell, so nothing is skipped.
+  let last = NaN
+  const isBefore = (line) => {
+    const time = timeOf(line)
+    if (!isNaN(time)) {
+      last = time
+    }
+    return last < since
+  }
+  const buffer = Buffer.alloc(64 * 1024)
+  let handle = await fsp.open(file)
+  let { ino } = await handle.stat()
+  let position = opts.tail ? await tailPosition(handle, Number(opts.tail)) : 0
+  let skipping = !isNaN(since)
+  let pending = ''
+  let endsWithNewline = true
+  let draining = false
+
+  try {
+    while (true) {
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position)
+      if (bytesRead > 0) {
+        position += bytesRead
+        draining = false
+        const chunk = Buffer.from(buffer.subarray(0, bytesRead))
+        endsWithNewline = chunk.at(-1) === 0x0a
+        if (!skipping) {
+          yield chunk
+          continue
+        }
+        // drop lines until the first one logged at or after --since
+        const lines = (pending + chunk.toString('utf8')).split('\n')
+        pending = lines.pop()
+        const idx = lines.findIndex((line) => !isBefore(line))
+        if (idx !== -1) {
+          skipping = false
+          yield [...lines.slice(idx), pending].join('\n')
+          pending = ''
+        }
+        continue
+      }
+
+      if (!opts.follow) {
+        break
+      }
+
+      const stat = await fsp.stat(file).catch(() => null)
+      if (stat && stat.ino !== ino) {
+        // renamed and recreated, drain what was written to the old file before switching
+        if (!draining) {
+          draining = true
+          continue
+        }
+        const next = await fsp.open(file).catch(() => null)
+        if (next) {
+          await handle.close()
+          handle = next
+          ;({ ino } = await handle.stat())
+          position = 0
+          draining = false
+          if (!endsWithNewline && !skipping) {
+            endsWithNewline = true
+            yield '\n'
+          }
+          continue
+        }
+      } else if (stat && stat.size < position) {
+        // truncated in place (copytruncate)
+        position = 0
+        continue
+      }
+      await tp.setTimeout(250, undefined, { signal })
+    }
+    if (skipping && pending && !isBefore(pending)) {
+      yield pending
+    }
+  } finally {
+    await handle.close()
+  }
+}
+
+// gzip, zstd, brotli or null for plain files
+export function compression(file) {
+  const magic = Buffer.alloc(4)
+  const fd = fs.openSync(file, 'r')
+  try {
+    fs.readSync(fd, magic, 0, magic.length, 0)
+  } finally {
+    fs.closeSync(fd)
+  }
+
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    return 'gzip'
+  } else if (magic.readUInt32LE(0) === 0xfd2fb528) {
+    return 'zstd'
+  } else if (file.endsWith('.br')) {
+    // brotli has no magic number
+    return 'brotli'
+  }
+  return null
+}
+
+// `file` piped into `decompress`, with read errors passed on, as `pipe` doesn't
+function decompressFile(file, decompress) {
+  const stream = fs.createReadStream(file)
+  stream.on('error', (err) => decompress.destroy(err))
+  return stream.pipe(decompress)
+}
+
+// the output of the zstd command, which fails if it can't be run or exits with an error
+function spawnZstd(file) {
+  const child = spawn('zstd', ['-dc', file], { stdio: ['ignore', 'pipe', 'pipe'] })
+  // only ends once zstd exited, so an error isn't taken for the end of the file
+  const stream = new PassThrough()
+  child.stdout.pipe(stream, { end: false })
+  let stderr = ''
+  child.stderr.setEncoding('utf8').on('data', (chunk) => (stderr += chunk))
+  child.on('error', (err) => {
+    stream.destroy(err.code === 'ENOENT' ? new Error(`zstd is needed to read ${file}`) : err)
+  })
+  child.on('close', (code) => {
+    if (code) {
+      stream.destroy(new Error(stderr.trim() || `zstd exited with code ${code} reading ${file}`))
+    } else if (code === 0) {
+      stream.end()
+    }
+  })
+  // e.g. when aborted
+  stream.on('close', () => child.exitCode === null && child.kill())
+  return stream
+}
+
+function readArchive(file, signal) {
+  let stream
+  switch (compression(file)) {
+    case 'gzip':
+      stream = decompressFile(file, zlib.createGunzip())
+      break
+    case 'zstd':
+      // zlib only has zstd in newer node versions
+      stream = zlib.createZstdDecompress
+        ? decompressFile(file, zlib.createZstdDecompress())
+        : spawnZstd(file)
+      break
+    case 'brotli':
+      stream = decompressFile(file, zlib.createBrotliDecompress())
+      break
+    default:
+      return null
+  }
+  return addAbortSignal(signal, stream)
+}
+
+function rotatedFiles(file) {
+  const dir = path.dirname(file)
+  const base = path.basename(file)
+  return fs
+    .readdirSync(dir)
+    .filter(
+      (name) =>
+        name.startsWith(base) && /^[.-]\d[\d-]*(\.(gz|br|zst))?$/.test(name.slice(base.length))
+    )
+    .map((name) => path.join(dir, name))
+    .filter((rotated) => fs.statSync(rotated).isFile())
+    .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs)
+}
+
+async function* readSeries(files, opts, signal) {
+  for (const file of files) {
+    const archive = readArchive(file, signal)
+    if (!archive) {
+      // rotated files are read in full, only the live file is tailed and followed
+      yield* readFile(file, file === files.at(-1) ? opts : {}, signal)
+      continue
+    }
+    let endsWithNewline = true
+    for await (const chunk of archive) {
+      endsWithNewline = chunk.at(-1) === 0x0a
+      yield chunk
+    }
+    if (!endsWithNewline) {
+      yield '\n'
+    }
+  }
+}
+
+export function getFile(pattern, opts) {
+  const files = /[*?[]/.test(pattern ?? '') ? expandGlob(pattern) : [pattern]
+
+  return files
+    .filter((file) => file && fs.existsSync(file) && fs.statSync(file).isFile())
+    .map((file) => {
+      const series = opts?.rotated ? [...rotatedFiles(file), file] : [file]
+      return {
+        name: series.length > 1 ? `${file} \u001b[2m(+${series.length - 1} rotated)\u001b[22m` : file,
+        value: file,
+        read(opts) {
+          const ac = new AbortController()
+          const chunks = readSeries(series, opts, ac.signal)
+          const stream = new Readable({
+            async read() {
+              try {
+                const { value, done } = await chunks.next()
+                this.push(done ? null : value)
+              } catch (err) {
+                this.destroy(err)
+              }
+            },
+            destroy(err, callback) {
+              // return() is only seen at the next yield, so also abort any pending poll
+              ac.abort()
+              chunks.return().catch(() => {})
+              callback(err)
+            },
+          })
+          stream.label = file
+          if (series.length === 1 && !compression(file)) {
+            // a plain file, which --indexed reads directly
+            stream.path = file
+          }
+          return [stream]
+        },
+      }
+    })
 }
 
 export function getStdin(pattern) {
@@ -0,0 +1,55 @@
+// Value frequencies and numeric summaries of a field across the matching entries
+
+function percentile(sorted, p) {
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)]
+}
+
+// `messages` is the message store
+export function fieldStats(messages, matching, field, getField, limit = 10) {
+  const counts = new Map()
+  const numbers = []
+  let missing = 0
+  for (const idx of matching) {
+    const value = getField(field, messages.get(idx))
+    if (value == null) {
+      ++missing
+      continue
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      numbers.push(value)
+    }
+    // objects are counted by their contents
+    const key = typeof value === 'object' ? JSON.stringify(value) : value
+    const entry = counts.get(key)
+    if (entry) {
+      ++entry.count
+    } else {
+      counts.set(key, { value, count: 1 })
+    }
+  }
+
+  // missing values are listed as null, which the include and exclude filters match them with
+  const values = [...counts.values(), ...(missing ? [{ value: null, count: missing }] : [])]
+  values.sort((a, b) => b.count - a.count)
+
+  let summary = null
+  if (numbers.length) {
+    numbers.sort((a, b) => a - b)
+    summary = {
+      count: numbers.length,
+      min: numbers[0],
+      max: numbers.at(-1),
+      mean: numbers.reduce((sum, x) => sum + x, 0) / numbers.length,
+      p50: percentile(numbers, 50),
+      p95: percentile(numbers, 95),
+      p99: percentile(numbers, 99),
+    }
+  }
+
+  return {
+    total: matching.length,
+    distinct: counts.size,
+    values: values.slice(0, limit),
+    numbers: summary,
+  }
+}
@@ -0,0 +1,209 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createBlockReader, readLine } from './lineindex.mjs'
+
+// Holds the messages read, and their text as read, by the position they were read at. When they take more than
+// `maxMemory`, the oldest ones are evicted, but positions stay the same, so `matching` and the
+// marks remain valid for everything from `start` on.
+//
+// With `spill`, the text of evicted messages is written to a temp file instead of dropped, with an
+// index of their offsets, and parsed again by `parse(text, sort)` when they're needed. `onEvict` is
+// called with the new start right after messages are evicted, before anything else can get them.
+
+const units = { k: 2 ** 10, m: 2 ** 20, g: 2 ** 30 }
+
+// e.g. 512m or 2GB, in megabytes without a unit
+export function parseSize(text) {
+  const match = /^(\d+(?:\.\d+)?)([kmg]?)b?$/i.exec(String(text).trim())
+  if (!match) {
+    throw new Error(`Invalid size: ${text} (e.g. 512m or 2g)`)
+  }
+  return Number(match[1]) * units[match[2].toLowerCase() || 'm']
+}
+
+// roughly what a parsed message takes in memory, from the length of its line
+function estimateSize(text) {
+  return 2 * text.length + 100
+}
+
+// evict down to this share of `maxMemory`, so it's done in batches
+const lowWater = 0.9
+
+// the `_sort` of a message, which is kept with its text when spilled, as entries without a time
+// are sorted by the time of the one before
+const sortLength = 28
+
+export function createStore({ maxMemory = Infinity, spill = false, parse, onEvict } = {}) {
+  let messages = [] // the messages in memory, the first at position `offset`
+  let texts = [] // and their text
+  let sizes = []
+  let offset = 0
+  let size = 0
+  let evicted = 0
+
+  // the spill file holds the positions from `spillStart` up to `offset`
+  let fd = null
+  let reader = null
+  let offsets = new Float64Array(1024)
+  let spillStart = 0
+  // of the messages read back, which are copies
+  const positions = new WeakMap()
+
+  function spillMessages(msgs, msgTexts) {
+    if (fd === null) {
+      const file = path.join(os.tmpdir(), `uncloggr-${process.pid}-${Date.now()}.spill`)
+      fd = fs.openSync(file, 'w+')
+      // gone once closed, also when killed
+      fs.unlinkSync(file)
+      reader = createBlockReader(fd)
+    }
+    const first = offset - spillStart
+    if (offsets.length < first + msgs.length + 1) {
+      const grown = new Float64Array(Math.max(offsets.length * 2, first + msgs.length + 1))
+      grown.set(offsets)
+      offsets = grown
+    }
+    const lines = []
+    let end = offsets[first]
+    msgs.forEach((msg, idx) => {
+      const line = `${msg._sort} ${msgTexts[idx]}\n`
+      end += Buffer.byteLength(line)
+      offsets[first + idx + 1] = end
+      lines.push(line)
+    })
+    fs.writeSync(fd, lines.join(''), offsets[first])
+  }
+
+  function evict() {
+    let count = 0
+    let freed = 0
+    while (count < messages.length && size - freed > maxMemory * lowWater) {
+      freed += sizes[count++]
+    }
+    if (spill) {
+      spillMessages(messages.slice(0, count), texts.slice(0, count))
+    } else {
+      evicted += count
+    }
+    messages = messages.slice(count)
+    texts = texts.slice(count)
+    sizes = sizes.slice(count)
+    offset += count
+    size -= freed
+    if (!spill) {
+      onEvict?.(offset)
+    }
+  }
+
+  return {
+    // the first position still available
+    get start() {
+      return spill ? spillStart : offset
+    },
+    // the position after the last message
+    get length() {
+      return offset + messages.length
+    },
+    // the number of messages dropped to stay within `maxMemory`
+    get evicted() {
+      return evicted
+    },
+    get(idx) {
+      if (idx >= offset) {
+        return messages[idx - offset]
+      } else if (spill && idx >= spillStart) {
+        const line = readLine(reader, offsets, idx - spillStart)
+        const msg = parse(line.slice(sortLength + 1), line.slice(0, sortLength))
+        positions.set(msg, idx)
+        return msg
+      }
+      return undefined
+    },
+    // the text `idx` was parsed from
+    text(idx) {
+      if (idx >= offset) {
+        return texts[idx - offset]
+      } else if (spill && idx >= spillStart) {
+        return readLine(reader, offsets, idx - spillStart).slice(sortLength + 1)
+      }
+      return undefined
+    },
+    push(msg, text) {
+      // with the text, which is kept too
+      const estimate = estimateSize(text) + text.length
+      messages.push(msg)
+      texts.push(text)
+      sizes.push(estimate)
+      size += estimate
+      if (size > maxMemory) {
+        evict()
+      }
+    },
+    indexOf(msg) {
+      const idx = messages.indexOf(msg)
+      return idx !== -1 ? offset + idx : (positions.get(msg) ?? -1)
+    },
+    // drops all messages, keeping the positions of the ones read after
+    clear() {
+      offset = this.length
+      spillStart = offset
+      messages = []
+      texts = []
+      sizes = []
+      size = 0
+      offsets[0] = 0
+      if (fd !== null) {
+        fs.ftruncateSync(fd)
+        reader.reset()
+      }
+    },
+  }
+}
+
+// The lines of a file with a line index (see lineindex.mjs), parsed by `parse` when needed. The
+// ones parsed last are kept, as the list reads them again on every update.
+export function createIndexedStore(file, offsets, parse, { start = 0, cacheSize = 1000 } = {}) {
+  const reader = createBlockReader(fs.openSync(file, 'r'))
+  const cache = new Map()
+  const length = offsets.length - 1
+  start = Math.max(0, Math.min(start, length))
+
+  return {
+    get start() {
+      return start
+    },
+    get length() {
+      return length
+    },
+    evicted: 0,
+    get(idx) {
+      // also for positions past the end of `matching`
+      if (!(idx >= start && idx < length)) {
+        return undefined
+      }
+      let msg = cache.get(idx)
+      if (msg) {
+        cache.delete(idx)
+      } else {
+        msg = parse(readLine(reader, offsets, idx), idx + 1)
+      }
+      cache.set(idx, msg)
+      if (cache.size > cacheSize) {
+        cache.delete(cache.keys().next().value)
+      }
+      return msg
+    },
+    text(idx) {
+      return idx >= start && idx < length ? readLine(reader, offsets, idx) : undefined
+    },
+    // lines are numbered from 1
+    indexOf(msg) {
+      return msg ? msg._line - 1 : -1
+    },
+    clear() {
+      start = length
+      cache.clear()
+    },
+  }
+}
@@ -0,0 +1,83 @@
+// Counts the matching entries per time bucket for the timeline panel
+
+const second = 1e3
+const minute = 60 * second
+const hour = 60 * minute
+const day = 24 * hour
+
+const sizes = [
+  second,
+  2 * second,
+  5 * second,
+  10 * second,
+  15 * second,
+  30 * second,
+  minute,
+  2 * minute,
+  5 * minute,
+  10 * minute,
+  15 * minute,
+  30 * minute,
+  hour,
+  2 * hour,
+  3 * hour,
+  6 * hour,
+  12 * hour,
+  day,
+]
+
+// the smallest round bucket size that fits `span` into `count` buckets
+function bucketSize(span, count) {
+  const size = span / count
+  return sizes.find((x) => x >= size) ?? Math.ceil(size / day) * day
+}
+
+export function formatSize(size) {
+  for (const [unit, ms] of [
+    ['d', day],
+    ['h', hour],
+    ['m', minute],
+  ]) {
+    if (size % ms === 0) {
+      return `${size / ms}${unit}`
+    }
+  }
+  return `${size / second}s`
+}
+
+// `messages` is the message store and `time` the time an entry is sorted by, which is set for
+// every entry
+export function createTimeline(messages, matching, count, time) {
+  let min = Infinity
+  let max = -Infinity
+  for (const idx of matching) {
+    const t = time(messages.get(idx))
+    min = Math.min(min, t)
+    max = Math.max(max, t)
+  }
+  if (!matching.length) {
+    return null
+  }
+  const size = bucketSize(max - min + 1, count)
+  const start = Math.floor(min / size) * size
+  const counts = new Array(count).fill(0)
+  const levels = new Array(count).fill(0)
+  // the first position in `matching` of each bucket, for jumping to it
+  const first = new Array(count).fill(-1)
+  matching.forEach((idx, pos) => {
+    const msg = messages.get(idx)
+    const bucket = bucketOf({ start, size, counts }, time(msg))
+    ++counts[bucket]
+    if (msg._level < 100) {
+      levels[bucket] = Math.max(levels[bucket], msg._level)
+    }
+    if (first[bucket] === -1) {
+      first[bucket] = pos
+    }
+  })
+  return { start, size, counts, levels, first }
+}
+
+export function bucketOf({ start, size, counts }, time) {
+  return Math.max(0, Math.min(Math.floor((time - start) / size), counts.length - 1))
+}
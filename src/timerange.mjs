@@ -0,0 +1,51 @@
+import { toTime } from './fields.mjs'
+
+const units = { ms: 1, s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 }
+
+// e.g. "90s" or "1h30m", NaN if it isn't a duration
+export function parseDuration(text) {
+  if (!/^(\d+(\.\d+)?(ms|s|m|h|d))+$/.test(text)) {
+    return NaN
+  }
+  let duration = 0
+  for (const [, value, , unit] of text.matchAll(/(\d+(\.\d+)?)(ms|s|m|h|d)/g)) {
+    duration += Number(value) * units[unit]
+  }
+  return duration
+}
+
+// A point in time: a duration ago (e.g. "42m"), a time of day on the day of `base`
+// (e.g. "14:32:05"), an epoch timestamp or a date. NaN if it can't be parsed.
+export function parseTime(text, base = Date.now()) {
+  text = text.trim()
+  const duration = parseDuration(text)
+  if (!isNaN(duration)) {
+    return Date.now() - duration
+  }
+  const [, h, m, s = 0, ms = '0'] =
+    text.match(/^(\d{1,2}):(\d\d)(?::(\d\d)(?:[.,](\d{1,3}))?)?$/) ?? []
+  if (h) {
+    return new Date(base).setHours(h, m, s, ms.padEnd(3, '0'))
+  }
+  return toTime(text)
+}
+
+// `last 5m`, `10:00..10:15`, `10:00..` or `..2025-01-01T12:00`, with times as in `parseTime`, or a
+// single time meaning from then on. Throws if the range is invalid.
+export function parseTimeRange(text, base) {
+  const [, duration] = text.trim().match(/^last\s+(\S+)$/i) ?? []
+  const [start, end = ''] = duration ? [duration] : text.split('..')
+  const from = start.trim() ? parseTime(start, base) : -Infinity
+  const to = end.trim() ? parseTime(end, base) : Infinity
+  if (isNaN(from) || isNaN(to)) {
+    throw new Error(`Invalid time range: ${text}`)
+  }
+  return { from, to }
+}
+
+// the range with absolute times, for keeping a range given relative to the current entry
+export function resolveTimeRange(text, base) {
+  const { from, to } = parseTimeRange(text, base)
+  const iso = (time) => (isFinite(time) ? new Date(time).toISOString() : '')
+  return `${iso(from)}..${iso(to)}`
+}